@@ -0,0 +1,127 @@
+/**
+ * Named, scoped API keys for programmatic access.
+ *
+ * Keys look like `prk_<id>_<secret>` and are sent as `Authorization: Bearer`,
+ * to /api/ routes only - pages need a signed-in session.
+ * Only a SHA-256 of the secret is stored (meta/api-keys.json); the full key
+ * is shown once, when it is created. Revoked keys are kept for reference.
+ *
+ * Scopes:
+ *   read   – list and fetch reports
+ *   write  – create/update reports, uploads and scrapes; list and restore the trash
+ *   delete – delete reports
+ *   backup – trigger backups and restores
+ */
+
+import crypto from 'crypto';
+
+const API_KEYS_KEY = 'meta/api-keys.json';
+const SCOPES = ['read', 'write', 'delete', 'backup'];
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/** Strip the secret hash before sending a key to the client. */
+function publicKey(key) {
+  const { secretHash, ...rest } = key;
+  return rest;
+}
+
+/** Pull a bearer token out of the Authorization header, if any. */
+function getBearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Create an API key store on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ */
+function createApiKeyStore({ readJson, writeJson }) {
+  let keys = null;
+
+  async function load() {
+    if (!keys) {
+      keys = (await readJson(API_KEYS_KEY)) || [];
+    }
+    return keys;
+  }
+
+  async function save() {
+    await writeJson(API_KEYS_KEY, keys);
+  }
+
+  async function list() {
+    return (await load()).map(publicKey);
+  }
+
+  /**
+   * Create a key. The returned `key` string is the only time the secret is
+   * available.
+   * @returns {Promise<{key: string, apiKey: object}>}
+   */
+  async function create({ name, scopes, createdBy = '' }) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('Name is required');
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !SCOPES.includes(s))) {
+      throw new Error(`Scopes must be one or more of: ${SCOPES.join(', ')}`);
+    }
+    await load();
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const apiKey = {
+      id,
+      name,
+      scopes: [...new Set(scopes)],
+      secretHash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    keys.push(apiKey);
+    await save();
+    return { key: `prk_${id}_${secret}`, apiKey: publicKey(apiKey) };
+  }
+
+  async function revoke(id) {
+    const apiKey = (await load()).find(k => k.id === id);
+    if (!apiKey) return null;
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date().toISOString();
+      await save();
+    }
+    return publicKey(apiKey);
+  }
+
+  /**
+   * Resolve a bearer token to an active key. Returns null for malformed,
+   * unknown or revoked keys.
+   */
+  async function authenticate(token) {
+    const match = /^prk_([a-f0-9]+)_([A-Za-z0-9_-]+)$/.exec(token || '');
+    if (!match) return null;
+    const [, id, secret] = match;
+
+    const apiKey = (await load()).find(k => k.id === id);
+    if (!apiKey || apiKey.revokedAt) return null;
+
+    const expected = Buffer.from(apiKey.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+      apiKey.lastUsedAt = new Date(now).toISOString();
+      await save();
+    }
+    return apiKey;
+  }
+
+  return { list, create, revoke, authenticate };
+}
+
+export { SCOPES as API_KEY_SCOPES, getBearerToken, createApiKeyStore };
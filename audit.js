@@ -0,0 +1,114 @@
+/**
+ * Append-only audit trail for report and data-management actions.
+ *
+ * Entries are grouped into one JSON document per UTC day
+ * (audit/YYYY-MM-DD.json) stored next to the reports. Writes are queued so
+ * concurrent requests never overwrite each other's entries, and there is no
+ * API for editing or deleting entries.
+ */
+
+import crypto from 'crypto';
+
+const MAX_QUERY_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayKey(date) {
+  return `audit/${date.toISOString().slice(0, 10)}.json`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level diff between two versions of a document. Nested objects are
+ * walked (e.g. `analytics.totalVisits`); arrays and scalars are compared as
+ * whole values.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffFields(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffFields(a, b, field));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field, before: a === undefined ? null : a, after: b === undefined ? null : b });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Create an audit log on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ */
+function createAuditLog({ readJson, writeJson }) {
+  let queue = Promise.resolve();
+
+  /**
+   * Append an entry. Resolves once it has been written.
+   * @param {{action: string, actor?: object, ip?: string, target?: object, changes?: Array, details?: object}} entry
+   */
+  function record({ action, actor = null, ip = '', target = null, changes, details }) {
+    const at = new Date();
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      at: at.toISOString(),
+      action,
+      actor,
+      ip,
+      target
+    };
+    if (changes) entry.changes = changes;
+    if (details) entry.details = details;
+
+    const write = queue.then(async () => {
+      const key = dayKey(at);
+      const entries = (await readJson(key)) || [];
+      entries.push(entry);
+      await writeJson(key, entries);
+      return entry;
+    });
+    queue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Read entries newest first.
+   * @param {{from?: string, to?: string, action?: string, actor?: string, targetId?: string, limit?: number}} filters
+   */
+  async function query({ from, to, action, actor, targetId, limit = 200 } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new Error('Invalid date range');
+
+    const startDay = Date.parse(start.toISOString().slice(0, 10));
+    const endDay = Date.parse(end.toISOString().slice(0, 10));
+    const days = Math.min(Math.round((endDay - startDay) / DAY_MS) + 1, MAX_QUERY_DAYS);
+    const actorQuery = actor ? actor.toLowerCase() : '';
+    const results = [];
+
+    for (let i = 0; i < days && results.length < limit; i++) {
+      const day = new Date(endDay - i * DAY_MS);
+      const entries = (await readJson(dayKey(day))) || [];
+      for (const entry of entries.reverse()) {
+        const at = new Date(entry.at);
+        if (at < start || at > end) continue;
+        if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) continue;
+        if (actorQuery && !(entry.actor?.username || '').toLowerCase().includes(actorQuery)) continue;
+        if (targetId && entry.target?.id !== targetId) continue;
+        results.push(entry);
+        if (results.length >= limit) break;
+      }
+    }
+    return results;
+  }
+
+  return { record, query };
+}
+
+export { diffFields, createAuditLog };
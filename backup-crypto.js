@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Client-side encryption for backups.
+ *
+ * Everything backup.js writes to the bucket, and the archives it exports, is
+ * sealed with AES-256-GCM before it leaves the machine. Each encrypted file
+ * starts with a small header naming the key it was sealed with:
+ *
+ *   "PRBK" | version (1 byte) | key ID length (1 byte) | key ID | IV (12) | auth tag (16) | ciphertext
+ *
+ * The header is authenticated along with the data, so it can't be altered
+ * without decryption failing. Keys come from BACKUP_ENCRYPTION_KEYS, a comma
+ * separated list of <id>:<base64 32-byte key>. The first key encrypts; all
+ * of them decrypt. To rotate, put a new key first and keep the old ones until
+ * every backup made with them has expired.
+ *
+ *   node backup-crypto.js --generate-key [id]   # print a new key entry
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const MAGIC = Buffer.from('PRBK');
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+function cryptoError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse the configured keys.
+ * @param {string} [value] - defaults to BACKUP_ENCRYPTION_KEYS
+ * @returns {{current: {id: string, key: Buffer}|null, keys: Map<string, Buffer>}}
+ */
+function loadKeyring(value = process.env.BACKUP_ENCRYPTION_KEYS) {
+  const keys = new Map();
+  let current = null;
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const at = entry.indexOf(':');
+    const id = entry.slice(0, at);
+    const key = Buffer.from(entry.slice(at + 1), 'base64');
+    if (at < 1 || !/^[A-Za-z0-9._-]{1,64}$/.test(id)) {
+      throw cryptoError('INVALID_KEY', 'BACKUP_ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+    }
+    if (key.length !== KEY_LENGTH) {
+      throw cryptoError('INVALID_KEY', `Backup key ${id} must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+    keys.set(id, key);
+    if (!current) current = { id, key };
+  }
+  return { current, keys };
+}
+
+/** Whether a buffer (or the start of one) is an encrypted backup file. */
+function isEncrypted(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/** Whether the file at a path is an encrypted backup file. */
+function isEncryptedFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const start = Buffer.alloc(MAGIC.length);
+    const read = fs.readSync(fd, start, 0, MAGIC.length, 0);
+    return isEncrypted(start.subarray(0, read));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Encrypt with the keyring's current key.
+ * @param {Buffer} plaintext
+ * @param {{current: {id: string, key: Buffer}}} keyring
+ */
+function encrypt(plaintext, keyring) {
+  if (!keyring.current) throw cryptoError('MISSING_KEY', 'No backup encryption key is configured');
+  const { id, key } = keyring.current;
+  const idBytes = Buffer.from(id, 'utf-8');
+  const header = Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION, idBytes.length]), idBytes]);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([header, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/** The key ID an encrypted buffer was sealed with. */
+function keyIdOf(buffer) {
+  if (!isEncrypted(buffer) || buffer.length < MAGIC.length + 2) throw cryptoError('DECRYPT_FAILED', 'Not an encrypted backup file');
+  const idLength = buffer[MAGIC.length + 1];
+  return buffer.subarray(MAGIC.length + 2, MAGIC.length + 2 + idLength).toString('utf-8');
+}
+
+/**
+ * Decrypt a buffer produced by encrypt().
+ * Rejects with code 'MISSING_KEY' when its key isn't configured and
+ * 'DECRYPT_FAILED' when it has been tampered with or is corrupt.
+ */
+function decrypt(buffer, keyring) {
+  const keyId = keyIdOf(buffer);
+  if (buffer[MAGIC.length] !== FORMAT_VERSION) {
+    throw cryptoError('DECRYPT_FAILED', `Unsupported backup encryption version ${buffer[MAGIC.length]}`);
+  }
+  const key = keyring.keys.get(keyId);
+  if (!key) throw cryptoError('MISSING_KEY', `Backup is encrypted with key "${keyId}", which is not in BACKUP_ENCRYPTION_KEYS`);
+
+  const headerLength = MAGIC.length + 2 + Buffer.byteLength(keyId);
+  const iv = buffer.subarray(headerLength, headerLength + IV_LENGTH);
+  const tag = buffer.subarray(headerLength + IV_LENGTH, headerLength + IV_LENGTH + TAG_LENGTH);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(buffer.subarray(0, headerLength));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(buffer.subarray(headerLength + IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw cryptoError('DECRYPT_FAILED', 'Backup could not be decrypted - it is corrupt or has been tampered with');
+  }
+}
+
+/** Decrypt if encrypted, otherwise return the buffer as it is (older, plaintext backups). */
+function decryptIfNeeded(buffer, keyring) {
+  return isEncrypted(buffer) ? decrypt(buffer, keyring) : buffer;
+}
+
+function main() {
+  const [command, id = new Date().toISOString().slice(0, 7)] = process.argv.slice(2);
+  if (command !== '--generate-key') {
+    console.error('Usage: node backup-crypto.js --generate-key [id]');
+    process.exit(1);
+  }
+  console.log(`${id}:${crypto.randomBytes(KEY_LENGTH).toString('base64')}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { loadKeyring, isEncrypted, isEncryptedFile, encrypt, decrypt, decryptIfNeeded, keyIdOf };
@@ -3,18 +3,65 @@
 /**
  * Backup script for Promo Report Dashboard
  *
- * Archives reports/ and uploads/ into a timestamped .tar.gz and uploads to an
- * S3-compatible bucket. Retains the last N backups (default 30).
+ * Incremental, content-addressed snapshots of the data in the configured
+ * storage backend (local files, or the R2 bucket via r2.js - see storage.js),
+ * kept in an S3-compatible bucket. That's everything under BACKUP_PREFIXES:
+ * reports and uploads, revision history, the trash, the audit log and meta/
+ * (users, API keys, shares, database links) - except login sessions, which
+ * shouldn't outlive the instance, and the report index, which is rebuilt
+ * from the reports. Restores put back reports and uploads (see restore.js);
+ * the rest of an exported archive is loaded with storage-sync.js.
+ *
+ *   promo-dashboard-backups/blobs/<sha256>            object contents, stored once
+ *   promo-dashboard-backups/snapshots/<timestamp>.json manifest of one snapshot
+ *
+ * A manifest lists every object with its size and SHA-256:
+ *
+ *   { version, id, createdAt, storage, keyId, prefixes: { 'reports/': { count, bytes }, ... },
+ *     objects: [{ key, size, sha256, etag, keyId }] }
+ *
+ * Only blobs the previous snapshot doesn't already have are uploaded, and
+ * objects whose ETag hasn't changed since then aren't downloaded again - so
+ * the transfer to and from the buckets is what changed, not the total data
+ * size. (The fs backend hashes a file for its ETag the first time it is
+ * seen in a process and after it changes.) Every snapshot is complete on
+ * its own; --export rebuilds it as a .tar.gz (manifest.json plus a directory
+ * per prefix) that /api/cron/restore accepts; admins can also browse the
+ * bucket and restore a backup straight from it on the /backups page. Run
+ * one backup at a time.
+ *
+ * After each backup, backups the retention policy doesn't keep are deleted
+ * (older full .tar.gz archives included), then blobs no kept snapshot refers
+ * to. BACKUP_RETENTION_POLICY sets grandfather-father-son rules, e.g.
+ * "daily=7,weekly=8,monthly=12": the newest backup of each of the last 7
+ * days, 8 weeks (starting Monday) and 12 months with a backup is kept, in
+ * UTC. Rules are last, daily, weekly, monthly and yearly; a backup any rule
+ * keeps is kept, and so is the newest. Without a policy the last
+ * BACKUP_RETENTION backups are kept.
+ *
+ * With BACKUP_ENCRYPTION_KEYS set, blobs, manifests and exported archives are
+ * encrypted before they leave the machine (see backup-crypto.js); blob names
+ * are still the plaintext SHA-256, which is what makes them deduplicate.
+ * After a key rotation the next snapshot re-encrypts every blob with the new
+ * key. Reading decrypts transparently, and older plaintext backups still work.
+ *
+ * Without a bucket, restores still snapshot the data they replace: see
+ * saveLocalSnapshot, which keeps the archive in the storage backend itself.
  *
  * Required env vars:
  *   BACKUP_S3_BUCKET, BACKUP_S3_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY
  * Optional:
  *   BACKUP_S3_ENDPOINT  – custom endpoint for non-AWS providers
- *   BACKUP_RETENTION    – number of backups to keep (default 30)
+ *   BACKUP_RETENTION    – number of backups to keep (default 90)
+ *   BACKUP_RETENTION_POLICY – e.g. daily=7,weekly=8,monthly=12 (replaces BACKUP_RETENTION)
+ *   BACKUP_ENCRYPTION_KEYS – <id>:<base64 key>,... (first one encrypts)
  *
  * Usage:
- *   node backup.js              # one-off backup
- *   Render Cron Job / crontab   # scheduled daily
+ *   node backup.js                       # take a snapshot
+ *   node backup.js --list                # list snapshots and archives
+ *   node backup.js --export <id> [file]  # write a snapshot out as a restorable .tar.gz(.enc)
+ *   node backup.js --prune [--dry-run]   # apply the retention policy (or show what it keeps)
+ *   Render Cron Job / crontab            # scheduled daily
  */
 
 import fs from 'fs';
@@ -24,13 +71,13 @@ import { execSync } from 'child_process';
 import crypto from 'crypto';
 import https from 'https';
 import http from 'http';
+import { createStorage } from './storage.js';
+import { loadKeyring, encrypt, decryptIfNeeded } from './backup-crypto.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // --- Config ---
 const DATA_DIR = process.env.NODE_ENV === 'production' ? '/data' : path.join(__dirname, 'data');
-const REPORTS_DIR = path.join(DATA_DIR, 'reports');
-const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
 const TMP_DIR = path.join(DATA_DIR, 'backups_tmp');
 
 const S3_BUCKET = process.env.BACKUP_S3_BUCKET;
@@ -40,6 +87,15 @@ const ACCESS_KEY = process.env.AWS_ACCESS_KEY_ID;
 const SECRET_KEY = process.env.AWS_SECRET_ACCESS_KEY;
 const RETENTION = parseInt(process.env.BACKUP_RETENTION || '90', 10);
 const PREFIX = 'promo-dashboard-backups/';
+const SNAPSHOT_PREFIX = `${PREFIX}snapshots/`;
+const BLOB_PREFIX = `${PREFIX}blobs/`;
+const ARCHIVE_PREFIX = `${PREFIX}backup-`;
+const BACKUP_PREFIXES = ['reports/', 'uploads/', 'revisions/', 'trash/', 'audit/', 'meta/'];
+const BACKUP_SKIPPED = new Set(['meta/sessions.json', 'meta/report-index.json']);
+const LOCAL_SNAPSHOT_PREFIX = 'pre-restore/';
+const LOCAL_SNAPSHOT_KEEP = 5;
+const MANIFEST_VERSION = 3;
+const RETENTION_RULES = ['last', 'daily', 'weekly', 'monthly', 'yearly'];
 
 // --- Helpers ---
 
@@ -59,11 +115,11 @@ function getSignatureKey(key, dateStamp, region, service) {
 }
 
 /**
- * Minimal AWS Signature V4 PUT request (no SDK dependency).
+ * Minimal AWS Signature V4 request (no SDK dependency).
+ * Resolves with the status code and body whatever the status.
  */
-function s3Put(objectKey, filePath) {
+function s3Request(method, objectKey, { query = {}, body = null, contentType = 'application/octet-stream' } = {}) {
   return new Promise((resolve, reject) => {
-    const body = fs.readFileSync(filePath);
     const now = new Date();
     const dateStamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 8);
     const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
@@ -73,24 +129,25 @@ function s3Put(objectKey, filePath) {
       : `${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`;
     const basePath = S3_ENDPOINT ? `/${S3_BUCKET}` : '';
     const canonicalUri = `${basePath}/${objectKey}`;
-    const payloadHash = sha256(body);
+    const queryString = Object.keys(query).sort()
+      .map(k => `${encodeURIComponent(k)}=${encodeURIComponent(query[k])}`).join('&');
+    const payloadHash = sha256(body || '');
 
     const headers = {
       Host: host,
       'x-amz-content-sha256': payloadHash,
       'x-amz-date': amzDate,
-      'Content-Length': body.length.toString(),
-      'Content-Type': 'application/gzip',
     };
+    if (body) {
+      headers['Content-Length'] = body.length.toString();
+      headers['Content-Type'] = contentType;
+    }
 
     const signedHeaderKeys = Object.keys(headers).map(k => k.toLowerCase()).sort();
     const signedHeaders = signedHeaderKeys.join(';');
     const canonicalHeaders = signedHeaderKeys.map(k => `${k}:${headers[Object.keys(headers).find(h => h.toLowerCase() === k)]}\n`).join('');
 
-    const canonicalRequest = [
-      'PUT', canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash,
-    ].join('\n');
-
+    const canonicalRequest = [method, canonicalUri, queryString, canonicalHeaders, signedHeaders, payloadHash].join('\n');
     const credentialScope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
     const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
     const signingKey = getSignatureKey(SECRET_KEY, dateStamp, S3_REGION, 's3');
@@ -102,211 +159,512 @@ function s3Put(objectKey, filePath) {
       ? `${S3_ENDPOINT}/${S3_BUCKET}/${objectKey}`
       : `https://${host}/${objectKey}`;
 
-    const parsed = new URL(url);
+    const parsed = new URL(queryString ? `${url}?${queryString}` : url);
     const transport = parsed.protocol === 'https:' ? https : http;
 
-    const req = transport.request(parsed, { method: 'PUT', headers }, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ statusCode: res.statusCode });
-        } else {
-          reject(new Error(`S3 PUT failed (${res.statusCode}): ${data}`));
-        }
-      });
+    const req = transport.request(parsed, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks) }));
     });
     req.on('error', reject);
-    req.write(body);
+    if (body) req.write(body);
     req.end();
   });
 }
 
+function isOk(res) {
+  return res.statusCode >= 200 && res.statusCode < 300;
+}
+
+async function s3Put(objectKey, body, contentType) {
+  const res = await s3Request('PUT', objectKey, { body: Buffer.from(body), contentType });
+  if (!isOk(res)) throw new Error(`S3 PUT failed (${res.statusCode}): ${res.body}`);
+}
+
+/** Object body, or null if it doesn't exist. */
+async function s3Get(objectKey) {
+  const res = await s3Request('GET', objectKey);
+  if (res.statusCode === 404) return null;
+  if (!isOk(res)) throw new Error(`S3 GET failed (${res.statusCode}): ${res.body}`);
+  return res.body;
+}
+
 /**
- * Minimal S3 LIST (GET Bucket) with prefix.
+ * S3 LIST (ListObjectsV2) with prefix, following continuation tokens.
+ * @returns {Promise<Array<{key: string, size: number, lastModified: string}>>}
  */
-function s3List() {
-  return new Promise((resolve, reject) => {
-    const now = new Date();
-    const dateStamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 8);
-    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
-
-    const host = S3_ENDPOINT
-      ? new URL(S3_ENDPOINT).host
-      : `${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`;
-    const basePath = S3_ENDPOINT ? `/${S3_BUCKET}` : '';
-    const canonicalUri = `${basePath}/`;
-    const queryString = `list-type=2&prefix=${encodeURIComponent(PREFIX)}`;
-    const payloadHash = sha256('');
+async function s3List(prefix) {
+  const objects = [];
+  let token = null;
+  do {
+    const query = { 'list-type': '2', prefix };
+    if (token) query['continuation-token'] = token;
+    const res = await s3Request('GET', '', { query });
+    if (!isOk(res)) throw new Error(`S3 LIST failed (${res.statusCode}): ${res.body}`);
+    const xml = res.body.toString('utf-8');
+    // Parse objects from XML response
+    for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      objects.push({
+        key: contents.match(/<Key>([^<]+)<\/Key>/)[1],
+        size: parseInt(contents.match(/<Size>(\d+)<\/Size>/)?.[1] || '0', 10),
+        lastModified: contents.match(/<LastModified>([^<]+)<\/LastModified>/)?.[1] || null
+      });
+    }
+    token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+      ? xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1]
+      : null;
+  } while (token);
+  return objects;
+}
 
-    const headers = {
-      Host: host,
-      'x-amz-content-sha256': payloadHash,
-      'x-amz-date': amzDate,
-    };
+async function s3Delete(objectKey) {
+  const res = await s3Request('DELETE', objectKey);
+  if (!isOk(res)) throw new Error(`S3 DELETE failed (${res.statusCode}): ${res.body}`);
+}
 
-    const signedHeaderKeys = Object.keys(headers).map(k => k.toLowerCase()).sort();
-    const signedHeaders = signedHeaderKeys.join(';');
-    const canonicalHeaders = signedHeaderKeys.map(k => `${k}:${headers[Object.keys(headers).find(h => h.toLowerCase() === k)]}\n`).join('');
+/** Keys under a prefix that go into backups. */
+async function listBackupKeys(storage, prefix) {
+  return (await storage.list(prefix)).filter(key => !BACKUP_SKIPPED.has(key));
+}
 
-    const canonicalRequest = ['GET', canonicalUri, queryString, canonicalHeaders, signedHeaders, payloadHash].join('\n');
-    const credentialScope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
-    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
-    const signingKey = getSignatureKey(SECRET_KEY, dateStamp, S3_REGION, 's3');
-    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+function formatMB(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(2);
+}
 
-    headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${ACCESS_KEY}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+// --- Snapshots ---
 
-    const url = S3_ENDPOINT
-      ? `${S3_ENDPOINT}/${S3_BUCKET}/?${queryString}`
-      : `https://${host}/?${queryString}`;
+function blobKey(hash) {
+  return `${BLOB_PREFIX}${hash}`;
+}
 
-    const parsed = new URL(url);
-    const transport = parsed.protocol === 'https:' ? https : http;
+function snapshotKey(id) {
+  return `${SNAPSHOT_PREFIX}${id}.json`;
+}
 
-    transport.get(parsed, { headers }, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          // Parse keys from XML response
-          const keys = [...data.matchAll(/<Key>([^<]+)<\/Key>/g)].map(m => m[1]);
-          resolve(keys);
-        } else {
-          reject(new Error(`S3 LIST failed (${res.statusCode}): ${data}`));
+/**
+ * Snapshots and older full archives in the bucket, oldest first. Both are
+ * named after the time they were taken, which doubles as their ID.
+ *
+ * With details, each snapshot's manifest is read for the size and number of
+ * objects it holds (an archive's size is its compressed size).
+ * @param {{details?: boolean}} options
+ * @returns {Promise<Array<{id: string, key: string, type: 'snapshot'|'archive', createdAt: string, size?: number, objects?: number, encrypted?: boolean}>>}
+ */
+async function listBackups({ details = false } = {}) {
+  const snapshots = (await s3List(SNAPSHOT_PREFIX)).filter(o => o.key.endsWith('.json'))
+    .map(o => ({ id: o.key.slice(SNAPSHOT_PREFIX.length, -'.json'.length), key: o.key, type: 'snapshot', createdAt: o.lastModified }));
+  const archives = (await s3List(ARCHIVE_PREFIX)).filter(o => o.key.endsWith('.tar.gz'))
+    .map(o => ({ id: o.key.slice(ARCHIVE_PREFIX.length, -'.tar.gz'.length), key: o.key, type: 'archive', createdAt: o.lastModified, size: o.size, encrypted: false }));
+  const backups = [...snapshots, ...archives].sort((a, b) => a.id.localeCompare(b.id));
+
+  if (details) {
+    const keyring = loadKeyring();
+    // A few manifests at a time - there can be a few hundred
+    for (let i = 0; i < snapshots.length; i += 8) {
+      await Promise.all(snapshots.slice(i, i + 8).map(async backup => {
+        try {
+          const manifest = await readSnapshot(backup.id, keyring);
+          backup.createdAt = manifest.createdAt;
+          backup.objects = manifest.objects.length;
+          backup.size = manifest.objects.reduce((total, o) => total + o.size, 0);
+          backup.encrypted = !!manifest.keyId;
+        } catch (error) {
+          backup.error = error.message;
         }
-      });
-    }).on('error', reject);
-  });
+      }));
+    }
+  }
+  return backups;
+}
+
+async function readSnapshot(id, keyring) {
+  const body = await s3Get(snapshotKey(id));
+  if (!body) throw new Error(`Snapshot ${id} not found`);
+  return JSON.parse(decryptIfNeeded(body, keyring).toString('utf-8'));
+}
+
+/** Encrypt with the current key, if there is one. */
+function seal(body, keyring) {
+  return keyring.current ? encrypt(Buffer.from(body), keyring) : body;
 }
 
+/** Delete blobs none of the given snapshot manifests refer to. */
+async function pruneBlobs(manifests) {
+  const referenced = new Set(manifests.flatMap(m => m.objects.map(o => o.sha256)));
+  let deleted = 0;
+  for (const { key } of await s3List(BLOB_PREFIX)) {
+    if (referenced.has(key.slice(BLOB_PREFIX.length))) continue;
+    await s3Delete(key);
+    deleted++;
+  }
+  return deleted;
+}
+
+// --- Retention ---
+
 /**
- * Minimal S3 DELETE.
+ * Parse a retention policy such as "daily=7,weekly=8,monthly=12".
+ * @param {string} [value] - defaults to BACKUP_RETENTION_POLICY, or the last BACKUP_RETENTION backups
+ * @returns {{last?: number, daily?: number, weekly?: number, monthly?: number, yearly?: number}}
  */
-function s3Delete(objectKey) {
-  return new Promise((resolve, reject) => {
-    const now = new Date();
-    const dateStamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 8);
-    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+function parseRetentionPolicy(value = process.env.BACKUP_RETENTION_POLICY) {
+  if (!value || !value.trim()) return { last: RETENTION };
+  const policy = {};
+  for (const rule of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, count] = rule.split('=').map(s => s.trim());
+    if (!RETENTION_RULES.includes(name) || !/^\d+$/.test(count || '')) {
+      throw new Error(`Invalid BACKUP_RETENTION_POLICY rule "${rule}" - use ${RETENTION_RULES.map(r => `${r}=N`).join(', ')}`);
+    }
+    policy[name] = parseInt(count, 10);
+  }
+  return policy;
+}
 
-    const host = S3_ENDPOINT
-      ? new URL(S3_ENDPOINT).host
-      : `${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`;
-    const basePath = S3_ENDPOINT ? `/${S3_BUCKET}` : '';
-    const canonicalUri = `${basePath}/${objectKey}`;
-    const payloadHash = sha256('');
+/** When a backup was taken: its ID is the timestamp, with the bucket listing as a fallback. */
+function backupTime(backup) {
+  const match = backup.id.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  return new Date(match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : backup.createdAt);
+}
 
-    const headers = {
-      Host: host,
-      'x-amz-content-sha256': payloadHash,
-      'x-amz-date': amzDate,
-    };
+// The period a backup falls in for each rule, in UTC
+const PERIODS = {
+  last: (date, index) => index,
+  daily: date => date.toISOString().slice(0, 10),
+  weekly: date => {
+    const monday = new Date(date);
+    monday.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return monday.toISOString().slice(0, 10);
+  },
+  monthly: date => date.toISOString().slice(0, 7),
+  yearly: date => date.toISOString().slice(0, 4)
+};
 
-    const signedHeaderKeys = Object.keys(headers).map(k => k.toLowerCase()).sort();
-    const signedHeaders = signedHeaderKeys.join(';');
-    const canonicalHeaders = signedHeaderKeys.map(k => `${k}:${headers[Object.keys(headers).find(h => h.toLowerCase() === k)]}\n`).join('');
+/**
+ * Decide which backups a policy keeps. For each rule, the newest backup in
+ * each of its most recent N periods is kept; the newest backup always is.
+ * @param {Array<{id: string, createdAt?: string}>} backups - in any order
+ * @param {object} policy - see parseRetentionPolicy
+ * @returns {{kept: Array<{backup: object, rules: string[]}>, expired: object[]}} newest first
+ */
+function planRetention(backups, policy) {
+  const sorted = backups.map(backup => ({ backup, time: backupTime(backup) }))
+    .sort((a, b) => b.time - a.time || b.backup.id.localeCompare(a.backup.id));
+  const rules = new Map(sorted.map(({ backup }) => [backup, []]));
+
+  for (const [name, count] of Object.entries(policy)) {
+    const seen = new Set();
+    sorted.forEach(({ backup, time }, index) => {
+      const period = PERIODS[name](time, index);
+      if (seen.has(period) || seen.size >= count) return;
+      seen.add(period);
+      rules.get(backup).push(name);
+    });
+  }
+  if (sorted.length > 0 && rules.get(sorted[0].backup).length === 0) rules.get(sorted[0].backup).push('newest');
 
-    const canonicalRequest = ['DELETE', canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
-    const credentialScope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
-    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
-    const signingKey = getSignatureKey(SECRET_KEY, dateStamp, S3_REGION, 's3');
-    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+  return {
+    kept: sorted.filter(({ backup }) => rules.get(backup).length > 0).map(({ backup }) => ({ backup, rules: rules.get(backup) })),
+    expired: sorted.filter(({ backup }) => rules.get(backup).length === 0).map(({ backup }) => backup)
+  };
+}
 
-    headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${ACCESS_KEY}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+/**
+ * Delete the backups the retention policy doesn't keep, then blobs no kept
+ * snapshot refers to. With dryRun, only report what would go.
+ * @param {object[]} backups - everything in the bucket (see listBackups)
+ * @param {object} policy - see parseRetentionPolicy
+ * @param {{keyring: object, dryRun?: boolean}} options
+ */
+async function enforceRetention(backups, policy, { keyring, dryRun = false }) {
+  const { kept, expired } = planRetention(backups, policy);
+  const rules = Object.entries(policy).map(([name, count]) => `${name}=${count}`).join(', ');
+  console.log(`  🗑️  ${dryRun ? 'Retention dry run' : 'Enforcing retention'} (${rules}): keeping ${kept.length}, pruning ${expired.length}`);
+  if (dryRun) {
+    const rows = [...kept.map(k => ({ ...k, keep: true })), ...expired.map(backup => ({ backup, rules: [], keep: false }))]
+      .sort((a, b) => backupTime(b.backup) - backupTime(a.backup));
+    rows.forEach(({ backup, rules, keep }) => {
+      console.log(`     ${keep ? 'keep ' : 'prune'}  ${backup.id}  ${backup.type.padEnd(8)}  ${rules.join(', ')}`.trimEnd());
+    });
+    return { kept: kept.length, expired: expired.length, prunedBlobs: 0 };
+  }
 
-    const url = S3_ENDPOINT
-      ? `${S3_ENDPOINT}/${S3_BUCKET}/${objectKey}`
-      : `https://${host}/${objectKey}`;
+  // Read what the kept snapshots refer to first, so nothing is deleted if one can't be read
+  const pruning = expired.some(b => b.type === 'snapshot');
+  const manifests = [];
+  if (pruning) {
+    for (const { backup } of kept.filter(k => k.backup.type === 'snapshot')) {
+      manifests.push(await readSnapshot(backup.id, keyring));
+    }
+  }
+  for (const backup of expired) {
+    console.log(`     Deleting old backup: ${backup.key}`);
+    await s3Delete(backup.key);
+  }
+  let prunedBlobs = 0;
+  if (pruning) {
+    prunedBlobs = await pruneBlobs(manifests);
+    console.log(`     Deleted ${prunedBlobs} unreferenced blobs`);
+  }
+  return { kept: kept.length, expired: expired.length, prunedBlobs };
+}
 
-    const parsed = new URL(url);
-    const transport = parsed.protocol === 'https:' ? https : http;
+function isConfigured() {
+  return !!(S3_BUCKET && ACCESS_KEY && SECRET_KEY);
+}
 
-    const req = transport.request(parsed, { method: 'DELETE', headers }, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve();
-        } else {
-          reject(new Error(`S3 DELETE failed (${res.statusCode}): ${data}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.end();
-  });
+function assertConfigured() {
+  if (!isConfigured()) {
+    throw new Error('Missing required env vars: BACKUP_S3_BUCKET, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY');
+  }
 }
 
 // --- Main ---
 
-async function runBackup() {
-  console.log('🔄 Starting backup...');
+async function backupNow(storage) {
+  console.log(`🔄 Starting backup (${storage.name} storage)...`);
+  assertConfigured();
+  const keyring = loadKeyring();
+  const policy = parseRetentionPolicy();
+  const keyId = keyring.current?.id || null;
+  if (!keyId) console.warn('  ⚠️  BACKUP_ENCRYPTION_KEYS is not set - backups are stored unencrypted');
+
+  const id = new Date().toISOString().replace(/[:.]/g, '-');
+  const backups = await listBackups();
+
+  // Whatever the latest snapshot holds is already in the bucket
+  const latest = backups.filter(b => b.type === 'snapshot').pop();
+  const previous = new Map();
+  if (latest) {
+    (await readSnapshot(latest.id, keyring)).objects.forEach(o => previous.set(o.key, o));
+  }
+  // ...as long as it was sealed with the current key
+  const stored = new Set([...previous.values()].filter(o => (o.keyId || null) === keyId).map(o => o.sha256));
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    id,
+    createdAt: new Date().toISOString(),
+    storage: storage.name,
+    keyId,
+    prefixes: {},
+    objects: []
+  };
+  const uploaded = { count: 0, bytes: 0 };
+
+  console.log(`  📥 Snapshotting objects${latest ? ` (changes since ${latest.id})` : ''}...`);
+  for (const prefix of BACKUP_PREFIXES) {
+    const totals = { count: 0, bytes: 0 };
+    for (const key of await listBackupKeys(storage, prefix)) {
+      const meta = await storage.head(key);
+      if (!meta) continue;
+      let entry = previous.get(key);
+      const unchanged = entry && meta.etag && entry.etag === meta.etag && entry.size === meta.size;
+      if (!unchanged || (entry.keyId || null) !== keyId) {
+        // New, changed or due for re-encryption - objects deleted since they were listed are skipped
+        const object = await storage.get(key);
+        if (!object) continue;
+        entry = { key, size: object.body.length, sha256: sha256(object.body), etag: object.etag, keyId };
+        if (!stored.has(entry.sha256)) {
+          await s3Put(blobKey(entry.sha256), seal(object.body, keyring));
+          stored.add(entry.sha256);
+          uploaded.count++;
+          uploaded.bytes += entry.size;
+        }
+      }
+      manifest.objects.push(entry);
+      totals.count++;
+      totals.bytes += entry.size;
+    }
+    manifest.prefixes[prefix] = totals;
+    console.log(`     ${prefix} ${totals.count} objects (${formatMB(totals.bytes)} MB)`);
+  }
+  if (manifest.objects.length === 0) {
+    throw new Error('No data found to back up');
+  }
+  console.log(`  ☁️  Uploaded ${uploaded.count} new blobs (${formatMB(uploaded.bytes)} MB)`);
+
+  // The manifest goes last, so a snapshot only exists once all its blobs do
+  await s3Put(snapshotKey(id), seal(JSON.stringify(manifest), keyring), keyId ? 'application/octet-stream' : 'application/json');
+  console.log(`  ✅ Snapshot ${id} saved`);
+
+  const all = [...backups, { id, key: snapshotKey(id), type: 'snapshot' }];
+  const retention = await enforceRetention(all, policy, { keyring });
+
+  const totalBackups = retention.kept;
+  console.log(`✅ Backup complete! ${totalBackups} total backups in bucket.`);
+  return {
+    success: true,
+    snapshot: id,
+    storage: storage.name,
+    encrypted: !!keyId,
+    keyId,
+    objects: manifest.objects.length,
+    prefixes: manifest.prefixes,
+    uploaded: uploaded.count,
+    uploadedMB: formatMB(uploaded.bytes),
+    totalBackups,
+    expiredBackups: retention.expired,
+    prunedBlobs: retention.prunedBlobs
+  };
+}
+
+let running = null;
 
-  // Validate config
-  if (!S3_BUCKET || !ACCESS_KEY || !SECRET_KEY) {
-    console.error('❌ Missing required env vars: BACKUP_S3_BUCKET, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY');
-    process.exit(1);
+/**
+ * Take a snapshot of the data. A backup already in progress in
+ * this process is joined rather than started twice.
+ * @param {{storage?: object}} options - storage backend to read (default: the configured one)
+ */
+function runBackup({ storage = createStorage({ dataDir: DATA_DIR }) } = {}) {
+  if (!running) {
+    running = backupNow(storage)
+      .catch(error => {
+        console.error('❌ Backup failed:', error.message);
+        throw error;
+      })
+      .finally(() => { running = null; });
   }
+  return running;
+}
 
-  // Check source directories
-  if (!fs.existsSync(REPORTS_DIR) && !fs.existsSync(UPLOADS_DIR)) {
-    console.error('❌ No data directories found to back up');
-    process.exit(1);
+/**
+ * Write a backup out as a .tar.gz in the layout /api/cron/restore accepts,
+ * encrypted with the current key if there is one (unless plaintext is set).
+ * Snapshot blobs are checked against their SHA-256 on the way; older full
+ * archives are downloaded as they are.
+ * @param {string} id - snapshot or archive ID (see listBackups)
+ * @param {string} outPath - where to write the archive
+ * @param {{plaintext?: boolean, onProgress?: Function}} options - onProgress gets {done, total} objects
+ */
+async function exportSnapshot(id, outPath, { plaintext = false, onProgress = () => {} } = {}) {
+  assertConfigured();
+  const keyring = loadKeyring();
+  const backup = (await listBackups()).find(b => b.id === id);
+  if (!backup) throw new Error(`Backup ${id} not found`);
+
+  if (backup.type === 'archive') {
+    onProgress({ done: 0, total: 1 });
+    fs.writeFileSync(outPath, await s3Get(backup.key));
+    onProgress({ done: 1, total: 1 });
+    return { id, type: backup.type, archive: outPath };
   }
 
-  // Create temp dir
-  if (!fs.existsSync(TMP_DIR)) fs.mkdirSync(TMP_DIR, { recursive: true });
+  const manifest = await readSnapshot(id, keyring);
+  const stagingDir = path.join(TMP_DIR, `export-${id}`);
+  const tarPath = path.join(TMP_DIR, `export-${id}.tar.gz`);
+  try {
+    fs.mkdirSync(stagingDir, { recursive: true });
+    onProgress({ done: 0, total: manifest.objects.length });
+    for (const [index, object] of manifest.objects.entries()) {
+      const target = path.join(stagingDir, object.key);
+      // Keys come from the manifest - never let one write outside the staging dir
+      if (!target.startsWith(stagingDir + path.sep)) throw new Error(`Unsafe key in manifest: ${object.key}`);
+      const sealed = await s3Get(blobKey(object.sha256));
+      if (!sealed) throw new Error(`Missing blob for ${object.key}`);
+      const body = decryptIfNeeded(sealed, keyring);
+      if (sha256(body) !== object.sha256) throw new Error(`Checksum mismatch for ${object.key}`);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, body);
+      onProgress({ done: index + 1, total: manifest.objects.length });
+    }
+    fs.writeFileSync(path.join(stagingDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    const archive = packArchive(stagingDir, tarPath);
+    fs.writeFileSync(outPath, plaintext ? archive : seal(archive, keyring));
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.rmSync(tarPath, { force: true });
+  }
+  return { id, type: backup.type, archive: outPath, objects: manifest.objects.length, encrypted: !plaintext && !!keyring.current };
+}
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const archiveName = `backup-${timestamp}.tar.gz`;
-  const archivePath = path.join(TMP_DIR, archiveName);
+/** Tar up a staging dir holding manifest.json and a directory per backed-up prefix. */
+function packArchive(stagingDir, tarPath) {
+  const entries = ['manifest.json', ...BACKUP_PREFIXES.map(p => p.slice(0, -1)).filter(dir => fs.existsSync(path.join(stagingDir, dir)))];
+  execSync(`tar -czf "${tarPath}" -C "${stagingDir}" ${entries.join(' ')}`, { stdio: 'pipe' });
+  return fs.readFileSync(tarPath);
+}
 
+/**
+ * Snapshot the data into the storage backend itself, for instances
+ * without a backup bucket. The snapshot is a restorable archive (encrypted
+ * with the current key, if there is one) saved as pre-restore/<id>.tar.gz(.enc);
+ * only the newest LOCAL_SNAPSHOT_KEEP are kept.
+ * @param {object} storage - storage backend to snapshot and save into
+ * @returns {Promise<string>} the key the archive was saved under
+ */
+async function saveLocalSnapshot(storage) {
+  const keyring = loadKeyring();
+  const id = new Date().toISOString().replace(/[:.]/g, '-');
+  const stagingDir = path.join(TMP_DIR, `local-${id}`);
+  const tarPath = path.join(TMP_DIR, `local-${id}.tar.gz`);
+  const manifest = { version: MANIFEST_VERSION, id, createdAt: new Date().toISOString(), storage: storage.name, keyId: null, prefixes: {}, objects: [] };
+  const key = `${LOCAL_SNAPSHOT_PREFIX}${id}.tar.gz${keyring.current ? '.enc' : ''}`;
   try {
-    // Create tar.gz archive
-    console.log('  📦 Creating archive...');
-    const dirs = [];
-    if (fs.existsSync(REPORTS_DIR)) dirs.push('reports');
-    if (fs.existsSync(UPLOADS_DIR)) dirs.push('uploads');
-
-    execSync(`tar -czf "${archivePath}" -C "${DATA_DIR}" ${dirs.join(' ')}`, { stdio: 'pipe' });
-
-    const sizeMB = (fs.statSync(archivePath).size / (1024 * 1024)).toFixed(2);
-    console.log(`  📦 Archive created: ${archiveName} (${sizeMB} MB)`);
-
-    // Upload to S3
-    const objectKey = `${PREFIX}${archiveName}`;
-    console.log(`  ☁️  Uploading to s3://${S3_BUCKET}/${objectKey}...`);
-    await s3Put(objectKey, archivePath);
-    console.log('  ✅ Upload complete');
-
-    // Clean up local temp file
-    fs.unlinkSync(archivePath);
-
-    // Retention: list existing backups and delete oldest beyond limit
-    console.log(`  🗑️  Enforcing retention (keep last ${RETENTION})...`);
-    const keys = await s3List();
-    const backupKeys = keys.filter(k => k.startsWith(PREFIX) && k.endsWith('.tar.gz')).sort();
-
-    if (backupKeys.length > RETENTION) {
-      const toDelete = backupKeys.slice(0, backupKeys.length - RETENTION);
-      for (const key of toDelete) {
-        console.log(`     Deleting old backup: ${key}`);
-        await s3Delete(key);
+    for (const prefix of BACKUP_PREFIXES) {
+      const totals = { count: 0, bytes: 0 };
+      for (const objectKey of await listBackupKeys(storage, prefix)) {
+        const object = await storage.get(objectKey);
+        if (!object) continue;
+        const target = path.join(stagingDir, objectKey);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, object.body);
+        manifest.objects.push({ key: objectKey, size: object.body.length, sha256: sha256(object.body) });
+        totals.count++;
+        totals.bytes += object.body.length;
       }
+      manifest.prefixes[prefix] = totals;
     }
+    if (manifest.objects.length === 0) throw new Error('No data found to snapshot');
+    fs.writeFileSync(path.join(stagingDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    await storage.put(key, seal(packArchive(stagingDir, tarPath), keyring), 'application/octet-stream');
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.rmSync(tarPath, { force: true });
+  }
 
-    console.log(`✅ Backup complete! ${backupKeys.length} total backups in bucket.`);
-    return { success: true, archive: archiveName, sizeMB, totalBackups: backupKeys.length };
+  // Keys sort by time
+  const older = (await storage.list(LOCAL_SNAPSHOT_PREFIX)).sort().slice(0, -LOCAL_SNAPSHOT_KEEP);
+  for (const oldKey of older) {
+    await storage.delete(oldKey).catch(error => console.warn(`  ⚠️  Could not delete old snapshot ${oldKey}:`, error.message));
+  }
+  console.log(`  ✅ Local snapshot saved as ${key} (${manifest.objects.length} objects)`);
+  return key;
+}
 
-  } catch (error) {
-    // Clean up on failure
-    if (fs.existsSync(archivePath)) fs.unlinkSync(archivePath);
-    console.error('❌ Backup failed:', error.message);
-    throw error;
+async function main(args) {
+  if (args[0] === '--list') {
+    assertConfigured();
+    const backups = await listBackups();
+    backups.forEach(b => console.log(`   ${b.id}  ${b.type}`));
+    console.log(`✅ ${backups.length} backups in s3://${S3_BUCKET}/${PREFIX}`);
+  } else if (args[0] === '--export') {
+    if (!args[1]) throw new Error('Usage: node backup.js --export <id> [file]');
+    const outPath = args[2] || `backup-${args[1]}.tar.gz${loadKeyring().current ? '.enc' : ''}`;
+    console.log(`📦 Exporting ${args[1]} to ${outPath}...`);
+    const result = await exportSnapshot(args[1], outPath);
+    console.log(`✅ Exported${result.objects !== undefined ? ` ${result.objects} objects` : ''} to ${outPath}${result.encrypted ? ' (encrypted)' : ''}`);
+  } else if (args[0] === '--prune') {
+    assertConfigured();
+    const dryRun = args.includes('--dry-run');
+    const result = await enforceRetention(await listBackups(), parseRetentionPolicy(), { keyring: loadKeyring(), dryRun });
+    console.log(dryRun
+      ? `✅ Dry run: would keep ${result.kept} and prune ${result.expired} backups`
+      : `✅ Kept ${result.kept} backups, pruned ${result.expired}`);
+  } else {
+    await runBackup();
   }
 }
 
-// Run if executed directly
-runBackup().catch(() => process.exit(1));
+// Run if executed directly (the server imports runBackup for its backup routes)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  main(args).catch(error => {
+    // runBackup() reports its own failures
+    if (args.length > 0) console.error('❌', error.message);
+    process.exit(1);
+  });
+}
 
-export { runBackup };
+export { BACKUP_PREFIXES, runBackup, listBackups, exportSnapshot, saveLocalSnapshot, isConfigured, assertConfigured };
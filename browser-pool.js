@@ -0,0 +1,185 @@
+/**
+ * One shared headless Chromium for the scrapers.
+ *
+ * The browser is launched on first use and kept running. Each job gets its
+ * own browser context (so cookies and storage aren't shared between scrapes),
+ * closed when the job ends. At most `concurrency` jobs run at once; the rest
+ * wait in a queue, and when that is full new jobs are refused with code
+ * 'POOL_BUSY'. A job whose slot is held past its timeout - launching the
+ * browser and opening its context count - has its context closed and rejects
+ * with code 'SCRAPE_TIMEOUT'. The server closes the pool on shutdown.
+ *
+ * A browser that crashes is relaunched for the next job. A health check also
+ * opens a throwaway context every so often and relaunches the browser if that
+ * fails or hangs.
+ */
+
+import { chromium } from 'playwright';
+
+const LAUNCH_ARGS = ['--disable-gpu', '--disable-dev-shm-usage', '--disable-setuid-sandbox', '--no-sandbox'];
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+function poolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function withTimeout(promise, ms, error) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(error), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a browser pool.
+ * @param {{launch?: () => Promise<object>}} options - starts a browser (default: headless Chromium)
+ * @param {{concurrency?: number, maxQueue?: number, jobTimeoutMs?: number, healthCheckIntervalMs?: number}} settings
+ */
+function createBrowserPool({ launch = () => chromium.launch({ headless: true, args: LAUNCH_ARGS }) } = {}, {
+  concurrency = 2,
+  maxQueue = 20,
+  jobTimeoutMs = 90000,
+  healthCheckIntervalMs = 60000
+} = {}) {
+  let browser = null;
+  let launching = null;
+  let launches = 0;
+  let lastError = null;
+  let closed = false;
+  let active = 0;
+  const waiting = [];
+
+  function getBrowser() {
+    if (browser?.isConnected()) return Promise.resolve(browser);
+    if (!launching) {
+      launching = launch()
+        .then(launched => {
+          launches++;
+          browser = launched;
+          launched.on('disconnected', () => {
+            if (browser !== launched) return;
+            browser = null;
+            if (!closed) console.warn('⚠️  Scraper browser disconnected - relaunching on the next scrape');
+          });
+          return launched;
+        })
+        .catch(error => {
+          lastError = error.message;
+          throw error;
+        })
+        .finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  // A freed slot goes straight to the next job in the queue
+  function acquire() {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    if (waiting.length >= maxQueue) {
+      return Promise.reject(poolError('POOL_BUSY', 'Too many scrapes in progress - try again in a minute'));
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  /**
+   * Run a job with a fresh page in its own context.
+   * @param {object} contextOptions - passed to browser.newContext() (viewport, userAgent, ...)
+   * @param {(page: object, context: object) => Promise<any>} task
+   * @param {{timeoutMs?: number}} options
+   * @returns {Promise<any>} what the task resolves to
+   */
+  async function run(contextOptions, task, { timeoutMs = jobTimeoutMs } = {}) {
+    if (closed) throw poolError('POOL_CLOSED', 'The scraper browser has been shut down');
+    await acquire();
+    let context = null;
+    let finished = false;
+
+    async function job() {
+      if (closed) throw poolError('POOL_CLOSED', 'The scraper browser has been shut down');
+      const opened = await (await getBrowser()).newContext(contextOptions);
+      // The job timed out while the browser was starting or the context opening
+      if (finished) {
+        await opened.close().catch(() => {});
+        return;
+      }
+      context = opened;
+      return task(await context.newPage(), context);
+    }
+
+    // The timeout covers everything the slot is held for, launching the browser included
+    try {
+      return await withTimeout(job(), timeoutMs,
+        poolError('SCRAPE_TIMEOUT', `Scrape took longer than ${Math.round(timeoutMs / 1000)}s`));
+    } finally {
+      finished = true;
+      // Closing the context also stops whatever a timed-out task was still doing
+      if (context) await context.close().catch(() => {});
+      release();
+    }
+  }
+
+  async function checkHealth() {
+    if (closed || launching || !browser) return;
+    const current = browser;
+    try {
+      const context = await withTimeout(current.newContext(), HEALTH_CHECK_TIMEOUT_MS, new Error('no response'));
+      await context.close();
+      return;
+    } catch (error) {
+      lastError = `Health check failed: ${error.message}`;
+    }
+    if (browser !== current) return;
+    console.warn('⚠️  Scraper browser failed its health check - relaunching');
+    browser = null;
+    current.close().catch(() => {});
+    await getBrowser().catch(error => console.error('Scraper browser relaunch failed:', error.message));
+  }
+
+  const healthTimer = setInterval(() => { checkHealth(); }, healthCheckIntervalMs);
+  healthTimer.unref();
+
+  /** What the pool is doing, for the status endpoint. */
+  function stats() {
+    return {
+      browser: browser?.isConnected() ? 'running' : launching ? 'launching' : 'stopped',
+      running: active,
+      queued: waiting.length,
+      concurrency,
+      maxQueue,
+      launches,
+      lastError
+    };
+  }
+
+  /** Stop the browser. Queued jobs are refused. */
+  async function close() {
+    closed = true;
+    clearInterval(healthTimer);
+    waiting.splice(0).forEach(resolve => {
+      active++;
+      resolve();
+    });
+    const current = browser || await launching?.catch(() => null);
+    browser = null;
+    if (current) await current.close().catch(() => {});
+  }
+
+  return { run, stats, checkHealth, close };
+}
+
+export { createBrowserPool };
@@ -0,0 +1,115 @@
+/**
+ * Per-recipient access links for the press and playlist databases.
+ *
+ * Each link is issued to a named recipient for one database type and carries
+ * its own token, so a single client can be cut off without affecting anyone
+ * else. Links live in a JSON document (meta/database-links.json) next to the
+ * reports; revoked and expired links are kept so their history stays readable.
+ */
+
+import crypto from 'crypto';
+
+const LINKS_KEY = 'meta/database-links.json';
+
+/**
+ * Create a database link store on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ * @param {string[]} types - database types links may be issued for
+ */
+function createDatabaseLinkStore({ readJson, writeJson }, types) {
+  let links = null;
+
+  function isExpired(link, now = Date.now()) {
+    return !!link.expiresAt && now > new Date(link.expiresAt).getTime();
+  }
+
+  function withStatus(link) {
+    const status = link.revokedAt ? 'revoked' : isExpired(link) ? 'expired' : 'active';
+    return { ...link, status };
+  }
+
+  async function load() {
+    if (!links) {
+      links = (await readJson(LINKS_KEY)) || [];
+    }
+    return links;
+  }
+
+  async function save() {
+    await writeJson(LINKS_KEY, links);
+  }
+
+  /** All links, newest first, optionally for one database type. */
+  async function list({ type } = {}) {
+    return (await load())
+      .filter(l => !type || l.type === type)
+      .map(withStatus)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async function findById(id) {
+    const link = (await load()).find(l => l.id === id);
+    return link ? withStatus(link) : null;
+  }
+
+  /**
+   * Issue a link for a recipient.
+   * @param {{type: string, recipient: string, expiresAt?: string|null, createdBy?: string}} options
+   */
+  async function issue({ type, recipient, expiresAt = null, createdBy = '' }) {
+    recipient = String(recipient || '').trim();
+    if (!types.includes(type)) throw new Error(`Database must be one of: ${types.join(', ')}`);
+    if (!recipient) throw new Error('Recipient is required');
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) throw new Error('Invalid expiry date');
+    await load();
+
+    const link = {
+      id: crypto.randomBytes(6).toString('hex'),
+      type,
+      recipient,
+      token: crypto.randomBytes(24).toString('base64url'),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      revokedAt: null,
+      lastUsedAt: null,
+      useCount: 0
+    };
+    links.push(link);
+    await save();
+    return withStatus(link);
+  }
+
+  async function revoke(id) {
+    const link = (await load()).find(l => l.id === id);
+    if (!link) return null;
+    if (!link.revokedAt) {
+      link.revokedAt = new Date().toISOString();
+      await save();
+    }
+    return withStatus(link);
+  }
+
+  /**
+   * Resolve a token to a live link for the database type and count the use.
+   * Returns null for unknown, revoked or expired tokens.
+   */
+  async function use(type, token) {
+    if (!token) return null;
+    const actual = Buffer.from(String(token));
+    const link = (await load()).find(l => {
+      const expected = Buffer.from(l.token);
+      return l.type === type && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    });
+    if (!link || link.revokedAt || isExpired(link)) return null;
+
+    link.lastUsedAt = new Date().toISOString();
+    link.useCount = (link.useCount || 0) + 1;
+    await save();
+    return withStatus(link);
+  }
+
+  return { list, findById, issue, revoke, use };
+}
+
+export { createDatabaseLinkStore };
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Copy externally hosted report images into our own storage.
+ *
+ * Reports scraped from smart links, articles and Spotify point at third-party
+ * URLs (heroArtwork, PR heroImage/logoImage, playlist coverImage) that break
+ * when an outlet moves its CDN or a link expires. After a report is saved,
+ * the server downloads each external image in the background, validates and
+ * stores it like an upload (see images.js), and writes the report back as a
+ * new revision using our copy. The original URL is kept in the report's
+ * `imageSources` map ({ '/uploads/<id>.webp': 'https://...' }). Images that
+ * can't be fetched are left pointing at the original URL.
+ *
+ * Existing reports can be backfilled:
+ *
+ *   node image-import.js --dry-run   # list the external images, change nothing
+ *   node image-import.js             # import them and rewrite the reports
+ *
+ * Each rewritten report gets a new revision and is updated in the library
+ * index (report-db.js).
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage } from './storage.js';
+import { processImage, saveImage } from './images.js';
+import { createReportDb } from './report-db.js';
+import { createRevisionStore } from './revisions.js';
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+function isExternalUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+// Loopback, private, link-local, CGNAT and unique-local ranges are off limits
+function isPublicAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return !(a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168));
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPublicAddress(lower.slice(7));
+  return !(lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower));
+}
+
+/**
+ * dns.lookup for outgoing requests that fails unless every address is public.
+ * The socket connects to the address checked here, so a host can't pass the
+ * check and then resolve somewhere private for the connection.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+      return callback(new Error(`${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** GET one URL, resolving to the response (body not read yet). */
+function request(url, signal) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`Unsupported protocol ${protocol}`);
+  // IP addresses are connected to directly, without a lookup
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw new Error(`${hostname} is not a public address`);
+  return new Promise((resolve, reject) => {
+    const req = (protocol === 'https:' ? https : http).get(url, {
+      lookup: publicLookup,
+      signal,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; PromoReportBot/1.0)', Accept: 'image/*' }
+    }, resolve);
+    req.on('error', reject);
+  });
+}
+
+async function readLimited(res) {
+  const declared = Number(res.headers['content-length']);
+  if (declared > MAX_IMAGE_BYTES) throw new Error('Image is larger than 10MB');
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > MAX_IMAGE_BYTES) throw new Error('Image is larger than 10MB');
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/** Download an image, checking every redirect hop is a public host. */
+async function downloadImage(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const res = await request(current, signal);
+      try {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          current = new URL(res.headers.location, current).href;
+          continue;
+        }
+        if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`HTTP ${res.statusCode}`);
+        return await readLimited(res);
+      } finally {
+        res.destroy();
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) throw new Error(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+    throw error;
+  }
+  throw new Error('Too many redirects');
+}
+
+/** Every image field a report can hold, as { obj, key } slots. */
+function imageSlots(report) {
+  const slots = [];
+  const add = (obj, key) => {
+    if (obj && typeof obj[key] === 'string' && obj[key]) slots.push({ obj, key });
+  };
+  add(report, 'heroArtwork');
+  (report.prPlacements || []).forEach(pr => {
+    add(pr, 'heroImage');
+    add(pr, 'logoImage');
+  });
+  (report.playlists || []).forEach(pl => add(pl, 'coverImage'));
+  return slots;
+}
+
+/**
+ * Point image fields that still hold an external URL the report already has a
+ * copy of (see imageSources) at that copy. A save from an editor opened before
+ * a background import finished would otherwise put the original URLs back.
+ * @param {object} report - changed in place
+ * @returns {object} the report
+ */
+function useImportedImages(report) {
+  const copies = new Map(Object.entries(report.imageSources || {}).map(([to, from]) => [from, to]));
+  for (const slot of imageSlots(report)) {
+    const to = copies.get(slot.obj[slot.key]);
+    if (to) slot.obj[slot.key] = to;
+  }
+  return report;
+}
+
+// Set a key as the most recently used, dropping the least recently used past `limit`
+function remember(map, key, value, limit) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > limit) map.delete(map.keys().next().value);
+}
+
+/**
+ * Create an importer writing into the storage backend. It remembers what it
+ * has imported, so the same URL is only downloaded once, and URLs that failed,
+ * which aren't tried again until retryFailedAfterMs has passed. Each list holds
+ * the maxRemembered most recently used URLs; a forgotten one is just fetched again.
+ * @param {{storage: object}} options
+ * @param {{retryFailedAfterMs?: number, maxRemembered?: number}} settings
+ */
+function createImageImporter({ storage }, { retryFailedAfterMs = 6 * 60 * 60 * 1000, maxRemembered = 1000 } = {}) {
+  const copies = new Map();
+  const failures = new Map();
+
+  /** Download, validate and store one external image; resolves to our URL. */
+  async function importUrl(url) {
+    const copied = copies.get(url);
+    // The copy may have been removed since (see upload-gc.js)
+    if (copied && await storage.head(copied.key)) {
+      remember(copies, url, copied, maxRemembered);
+      return copied.url;
+    }
+    copies.delete(url);
+    const failure = failures.get(url);
+    if (failure && Date.now() - failure.at < retryFailedAfterMs) {
+      throw new Error(`${failure.error} (not retried until ${new Date(failure.at + retryFailedAfterMs).toISOString()})`);
+    }
+    failures.delete(url);
+    try {
+      const image = await processImage(await downloadImage(url));
+      const { url: to, filename } = await saveImage(storage, image);
+      remember(copies, url, { url: to, key: `uploads/${filename}` }, maxRemembered);
+      return to;
+    } catch (error) {
+      remember(failures, url, { at: Date.now(), error: error.message }, maxRemembered);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a report's external images. Returns a copy of the report pointing at
+   * our copies; failures are reported and the original URL is left in place.
+   * @param {object} report
+   * @param {{dryRun?: boolean}} options
+   * @returns {Promise<{report: object, imported: Array<{from: string, to: string}>, failed: Array<{url: string, error: string}>, pending: string[]}>}
+   */
+  async function importReportImages(report, { dryRun = false } = {}) {
+    const copy = structuredClone(report);
+    const slots = imageSlots(copy);
+    const external = [...new Set(slots.map(s => s.obj[s.key]).filter(isExternalUrl))];
+    const result = { report: copy, imported: [], failed: [], pending: dryRun ? external : [] };
+
+    const local = new Map();
+    if (!dryRun) {
+      for (const url of external) {
+        try {
+          const to = await importUrl(url);
+          local.set(url, to);
+          result.imported.push({ from: url, to });
+        } catch (error) {
+          result.failed.push({ url, error: error.message });
+        }
+      }
+    }
+
+    for (const slot of slots) {
+      const to = local.get(slot.obj[slot.key]);
+      if (to) slot.obj[slot.key] = to;
+    }
+
+    // Keep the original URL of every imported image the report still uses
+    const inUse = new Set(slots.map(s => s.obj[s.key]));
+    const sources = { ...(report.imageSources || {}) };
+    result.imported.forEach(({ from, to }) => { sources[to] = from; });
+    Object.keys(sources).forEach(url => { if (!inUse.has(url)) delete sources[url]; });
+    if (Object.keys(sources).length > 0) {
+      copy.imageSources = sources;
+    } else {
+      delete copy.imageSources;
+    }
+    return result;
+  }
+
+  return { importUrl, importReportImages };
+}
+
+async function main() {
+  const __dirname = path.dirname(fileURLToPath(import.meta.url));
+  const dataDir = process.env.NODE_ENV === 'production' ? '/data' : path.join(__dirname, 'data');
+  const storage = createStorage({ dataDir });
+  const dryRun = process.argv.includes('--dry-run');
+
+  async function readJson(key) {
+    const result = await storage.get(key);
+    return result ? JSON.parse(result.body.toString('utf-8')) : null;
+  }
+
+  async function writeJson(key, data, options) {
+    return storage.put(key, JSON.stringify(data, null, 2), 'application/json', options);
+  }
+
+  const importer = createImageImporter({ storage });
+  const revisions = createRevisionStore({ readJson, writeJson });
+  const reportDb = createReportDb({ storage, readJson, writeJson });
+  const keys = (await storage.list('reports/')).filter(k => k.endsWith('.json'));
+  console.log(`🖼️  Importing external images for ${keys.length} reports (${storage.name} storage${dryRun ? ', dry run' : ''})...`);
+
+  let imported = 0;
+  let failed = 0;
+  for (const key of keys) {
+    const stored = await storage.get(key);
+    if (!stored) continue;
+    const report = JSON.parse(stored.body.toString('utf-8'));
+    const result = await importer.importReportImages(report, { dryRun });
+    result.pending.forEach(url => console.log(`   ${report.id}: ${url}`));
+    result.failed.forEach(f => console.warn(`   ⚠️  ${report.id}: ${f.url} (${f.error})`));
+    if (result.imported.length > 0) {
+      const updated = {
+        ...result.report,
+        updatedAt: new Date().toISOString(),
+        revision: (report.revision || 1) + 1
+      };
+      // Conditional write, so a save made while we were downloading isn't overwritten
+      try {
+        await writeJson(key, updated, { ifMatch: stored.etag });
+      } catch (error) {
+        if (error.code !== 'PRECONDITION_FAILED') throw error;
+        console.warn(`   ⚠️  ${report.id}: changed during import, skipped - run again`);
+        continue;
+      }
+      await revisions.record(updated, { action: 'image_import', previous: report });
+      await reportDb.upsert(updated);
+      console.log(`   ${report.id}: imported ${result.imported.length} image(s)`);
+      imported += result.imported.length;
+    }
+    failed += result.failed.length;
+  }
+  reportDb.close();
+  console.log(`✅ Imported ${imported} images${failed ? `, ${failed} failed` : ''}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Image import failed:', err.message);
+    process.exit(1);
+  });
+}
+
+export { isExternalUrl, isPublicAddress, imageSlots, useImportedImages, createImageImporter };
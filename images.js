@@ -0,0 +1,139 @@
+/**
+ * Image processing for uploads.
+ *
+ * Uploads are sniffed by their leading bytes (the client's file name and
+ * MIME type aren't trusted), decoded, rotated upright, stripped of EXIF and
+ * other metadata, and re-encoded as WebP: one full-size copy plus a resized
+ * variant at each of VARIANT_WIDTHS narrower than the image. Pages pick a
+ * variant with srcset, e.g. a 220px hero cover loads the 480w file instead of
+ * a multi-megabyte original.
+ *
+ *   uploads/<id>.webp          full size (capped at MAX_DIMENSION)
+ *   uploads/<id>-<width>w.webp variants - only below the full size's width
+ *                               (the server answers for a missing one with
+ *                               the full size)
+ */
+
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+
+// Logos/thumbnails, hero artwork and PR thumbnails, large PR images, full-width
+const VARIANT_WIDTHS = [160, 480, 960, 1600];
+const MAX_DIMENSION = 2400;
+const WEBP_QUALITY = 82;
+
+// Leading bytes of the formats we accept. SVG is deliberately absent: it can carry script.
+const SIGNATURES = [
+  { type: 'jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'gif', test: b => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { type: 'webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { type: 'avif', test: b => b.subarray(4, 8).toString('latin1') === 'ftyp' && ['avif', 'avis'].includes(b.subarray(8, 12).toString('latin1')) },
+];
+
+function invalidImage(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+}
+
+/** The image format a buffer starts with, or null. */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  return SIGNATURES.find(s => s.test(buffer))?.type || null;
+}
+
+/** Storage filename for the full-size image or a variant of it. */
+function imageFilename(id, width = null) {
+  return width ? `${id}-${width}w.webp` : `${id}.webp`;
+}
+
+/** The full-size filename a variant was made from (itself for anything else). */
+function sourceFilename(filename) {
+  return filename.replace(/-\d+w\.webp$/, '.webp');
+}
+
+/**
+ * Validate and convert an uploaded image.
+ * Rejects with an error whose code is 'INVALID_IMAGE' for anything that isn't one.
+ * @param {Buffer} buffer
+ * @returns {Promise<{type: string, width: number, height: number, body: Buffer, variants: Array<{width: number, body: Buffer}>}>}
+ */
+async function processImage(buffer) {
+  const type = detectImageType(buffer);
+  if (!type) throw invalidImage('Unsupported file type - upload a JPEG, PNG, GIF, WebP or AVIF image');
+
+  const animated = type === 'gif' || type === 'webp';
+  try {
+    await sharp(buffer, { animated }).metadata();
+  } catch (error) {
+    throw invalidImage('The file could not be read as an image');
+  }
+
+  // Re-encoding drops EXIF (GPS, camera serials, ...) - rotate first so orientation survives
+  const encode = (width, height) => sharp(buffer, { animated })
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  let full;
+  try {
+    full = await encode(MAX_DIMENSION, MAX_DIMENSION);
+  } catch (error) {
+    throw invalidImage('The file could not be read as an image');
+  }
+  const variants = [];
+  for (const width of VARIANT_WIDTHS.filter(w => w < full.info.width)) {
+    const { data } = await encode(width);
+    variants.push({ width, body: data });
+  }
+
+  return {
+    type,
+    width: full.info.width,
+    height: full.info.pageHeight || full.info.height,
+    body: full.data,
+    variants
+  };
+}
+
+/**
+ * The width of a stored full-size image, or null if it is missing or unreadable.
+ * Only the image's header is decoded.
+ * @param {object} storage - storage backend
+ * @param {string} filename - e.g. '<id>.webp'
+ */
+async function readImageWidth(storage, filename) {
+  const object = await storage.get(`uploads/${filename}`);
+  if (!object) return null;
+  try {
+    return (await sharp(object.body).metadata()).width || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a processed image and its variants under a new ID.
+ * @param {object} storage - storage backend
+ * @param {object} image - result of processImage()
+ * @returns {Promise<{filename: string, url: string, width: number, height: number, variants: Array<{width: number, url: string}>}>}
+ */
+async function saveImage(storage, image) {
+  const id = uuidv4();
+  const filename = imageFilename(id);
+  await storage.put(`uploads/${filename}`, image.body, 'image/webp');
+  for (const variant of image.variants) {
+    await storage.put(`uploads/${imageFilename(id, variant.width)}`, variant.body, 'image/webp');
+  }
+  return {
+    filename,
+    url: `/uploads/${filename}`,
+    width: image.width,
+    height: image.height,
+    variants: image.variants.map(v => ({ width: v.width, url: `/uploads/${imageFilename(id, v.width)}` }))
+  };
+}
+
+export { VARIANT_WIDTHS, detectImageType, imageFilename, sourceFilename, processImage, readImageWidth, saveImage };
@@ -0,0 +1,78 @@
+/**
+ * Tracker for long-running tasks started from a request, such as restoring a
+ * backup from the bucket. The request gets the job back straight away and
+ * the page polls it for progress.
+ *
+ * Jobs are kept in memory, so they don't survive a restart - only the most
+ * recent ones are remembered.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Create a job tracker.
+ * @param {{limit?: number}} options - how many finished jobs to remember
+ */
+function createJobTracker({ limit = 20 } = {}) {
+  const jobs = new Map();
+
+  function forgetOld() {
+    const finished = [...jobs.values()].filter(job => job.status !== 'running');
+    finished.slice(0, Math.max(finished.length - limit, 0)).forEach(job => jobs.delete(job.id));
+  }
+
+  /**
+   * Start a job. The task gets a progress(update) callback whose fields
+   * (phase, done, total, ...) are merged into the job; what it resolves to
+   * becomes the job's result.
+   * @param {string} type
+   * @param {object} details - what the job is working on, shown alongside it
+   * @param {(progress: Function) => Promise<any>} task
+   * @returns {object} the job
+   */
+  function start(type, details, task) {
+    const job = {
+      id: uuidv4().slice(0, 8),
+      type,
+      details,
+      status: 'running',
+      phase: null,
+      done: 0,
+      total: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    jobs.set(job.id, job);
+
+    const progress = update => Object.assign(job, update);
+    Promise.resolve()
+      .then(() => task(progress))
+      .then(result => Object.assign(job, { status: 'succeeded', result }))
+      .catch(error => Object.assign(job, { status: 'failed', error: error.message }))
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        forgetOld();
+      });
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  /** Jobs of a type, most recent first. */
+  function list(type) {
+    return [...jobs.values()].filter(job => !type || job.type === type).reverse();
+  }
+
+  /** The job of this type that is still running, if any. */
+  function running(type) {
+    return list(type).find(job => job.status === 'running') || null;
+  }
+
+  return { start, get, list, running };
+}
+
+export { createJobTracker };
@@ -4,20 +4,35 @@
  * Uses AWS Signature V4 signing with zero SDK dependencies.
  * Configured via env vars: BACKUP_S3_BUCKET, BACKUP_S3_REGION,
  * BACKUP_S3_ENDPOINT, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY.
+ *
+ * Listing follows continuation tokens, so buckets with more than 1000 objects
+ * are listed in full. r2GetStream/r2PutStream avoid holding whole objects in
+ * memory; streamed uploads larger than one part use S3 multipart upload.
  */
 
 import crypto from 'crypto';
 import https from 'https';
 import http from 'http';
 
-const S3_BUCKET = process.env.BACKUP_S3_BUCKET;
-const S3_REGION = process.env.BACKUP_S3_REGION || 'auto';
-const S3_ENDPOINT = process.env.BACKUP_S3_ENDPOINT;
-const ACCESS_KEY = process.env.AWS_ACCESS_KEY_ID;
-const SECRET_KEY = process.env.AWS_SECRET_ACCESS_KEY;
+// Multipart parts must be at least 5 MiB (except the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+// Read on every request rather than once at import, so storage-check.js can
+// point the client at its in-process S3 stand-in
+function config() {
+  return {
+    bucket: process.env.BACKUP_S3_BUCKET,
+    region: process.env.BACKUP_S3_REGION || 'auto',
+    endpoint: process.env.BACKUP_S3_ENDPOINT,
+    accessKey: process.env.AWS_ACCESS_KEY_ID,
+    secretKey: process.env.AWS_SECRET_ACCESS_KEY
+  };
+}
 
 function isConfigured() {
-  return !!(S3_BUCKET && ACCESS_KEY && SECRET_KEY);
+  const { bucket, accessKey, secretKey } = config();
+  return !!(bucket && accessKey && secretKey);
 }
 
 function hmacSHA256(key, data) {
@@ -36,28 +51,52 @@ function getSignatureKey(key, dateStamp, region, service) {
 }
 
 function getHost() {
-  return S3_ENDPOINT
-    ? new URL(S3_ENDPOINT).host
-    : `${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`;
+  const { bucket, region, endpoint } = config();
+  return endpoint
+    ? new URL(endpoint).host
+    : `${bucket}.s3.${region}.amazonaws.com`;
 }
 
 function getBasePath() {
-  return S3_ENDPOINT ? `/${S3_BUCKET}` : '';
+  const { bucket, endpoint } = config();
+  return endpoint ? `/${bucket}` : '';
 }
 
 function encodeKey(key) {
   return key.split('/').map(s => encodeURIComponent(s)).join('/');
 }
 
-function buildUrl(objectKey) {
+function buildUrl(objectKey, queryString = '') {
+  const { bucket, endpoint } = config();
   const host = getHost();
   const encoded = encodeKey(objectKey);
-  return S3_ENDPOINT
-    ? `${S3_ENDPOINT}/${S3_BUCKET}/${encoded}`
+  const base = endpoint
+    ? `${endpoint}/${bucket}/${encoded}`
     : `https://${host}/${encoded}`;
+  return queryString ? `${base}?${queryString}` : base;
+}
+
+// SigV4 wants the query sorted by name, with RFC 3986 encoding
+function buildQuery(params) {
+  const rfc3986 = s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return Object.keys(params)
+    .sort()
+    .map(k => params[k] === '' ? `${rfc3986(k)}=` : `${rfc3986(k)}=${rfc3986(String(params[k]))}`)
+    .join('&');
+}
+
+function decodeXml(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
 }
 
 function signRequest(method, canonicalUri, queryString, headers, payloadHash) {
+  const { region, accessKey, secretKey } = config();
   const now = new Date();
   const dateStamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 8);
   const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
@@ -72,160 +111,272 @@ function signRequest(method, canonicalUri, queryString, headers, payloadHash) {
     .join('');
 
   const canonicalRequest = [method, canonicalUri, queryString || '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
-  const credentialScope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+  const credentialScope = `${dateStamp}/${region}/s3/aws4_request`;
   const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
-  const signingKey = getSignatureKey(SECRET_KEY, dateStamp, S3_REGION, 's3');
+  const signingKey = getSignatureKey(secretKey, dateStamp, region, 's3');
   const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
 
-  headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${ACCESS_KEY}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${accessKey}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
   return headers;
 }
 
 /**
- * Upload a file to R2.
- * @param {string} key - Object key (e.g. 'reports/abc123.json')
- * @param {Buffer|string} body - File content
- * @param {string} contentType - MIME type
+ * Send a signed request for an object key ('' for the bucket itself).
+ * Resolves with the raw response so callers can stream or buffer it.
+ * @param {string} method
+ * @param {string} key
+ * @param {{query?: object, headers?: object, body?: Buffer, payloadHash?: string}} options
+ * @returns {Promise<import('http').IncomingMessage>}
  */
-function r2Put(key, body, contentType = 'application/octet-stream') {
+function sendRequest(method, key, { query = {}, headers = {}, body = null, payloadHash } = {}) {
   return new Promise((resolve, reject) => {
-    const bodyBuffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf-8');
-    const host = getHost();
+    const queryString = buildQuery(query);
     const canonicalUri = `${getBasePath()}/${encodeKey(key)}`;
-    const payloadHash = sha256(bodyBuffer);
-
-    const headers = {
-      Host: host,
-      'Content-Length': bodyBuffer.length.toString(),
-      'Content-Type': contentType,
-    };
-    signRequest('PUT', canonicalUri, '', headers, payloadHash);
+    const requestHeaders = { Host: getHost(), ...headers };
+    if (body) requestHeaders['Content-Length'] = body.length.toString();
+    signRequest(method, canonicalUri, queryString, requestHeaders, payloadHash || sha256(body || ''));
 
-    const parsed = new URL(buildUrl(key));
+    const parsed = new URL(buildUrl(key, queryString));
     const transport = parsed.protocol === 'https:' ? https : http;
 
-    const req = transport.request(parsed, { method: 'PUT', headers }, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ statusCode: res.statusCode });
-        } else {
-          reject(new Error(`R2 PUT ${key} failed (${res.statusCode}): ${data}`));
-        }
-      });
-    });
+    const req = transport.request(parsed, { method, headers: requestHeaders }, resolve);
     req.on('error', reject);
-    req.write(bodyBuffer);
+    if (body) req.write(body);
     req.end();
   });
 }
 
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('error', reject);
+  });
+}
+
+function isOk(res) {
+  return res.statusCode >= 200 && res.statusCode < 300;
+}
+
+function objectMeta(res) {
+  return {
+    contentType: res.headers['content-type'] || 'application/octet-stream',
+    size: Number(res.headers['content-length'] || 0),
+    lastModified: res.headers['last-modified'] || null,
+    etag: res.headers['etag'] || null,
+  };
+}
+
+/**
+ * Upload a file to R2.
+ * @param {string} key - Object key (e.g. 'reports/abc123.json')
+ * @param {Buffer|string} body - File content
+ * @param {string} contentType - MIME type
+ * @param {{ifMatch?: string}} options - only write if the object's current ETag matches;
+ *   otherwise the promise rejects with an error whose code is 'PRECONDITION_FAILED'
+ */
+async function r2Put(key, body, contentType = 'application/octet-stream', { ifMatch } = {}) {
+  const bodyBuffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf-8');
+  const headers = { 'Content-Type': contentType };
+  if (ifMatch) headers['If-Match'] = ifMatch;
+  const res = await sendRequest('PUT', key, { headers, body: bodyBuffer });
+  const data = await readBody(res);
+  if (res.statusCode === 412) {
+    const error = new Error(`R2 PUT ${key} failed: object was modified`);
+    error.code = 'PRECONDITION_FAILED';
+    throw error;
+  }
+  if (!isOk(res)) {
+    throw new Error(`R2 PUT ${key} failed (${res.statusCode}): ${data}`);
+  }
+  return { statusCode: res.statusCode, etag: res.headers['etag'] || null };
+}
+
 /**
  * Download a file from R2.
  * @param {string} key - Object key
- * @returns {Promise<{body: Buffer, contentType: string, statusCode: number}>}
+ * @returns {Promise<{body: Buffer, contentType: string, lastModified: string|null, etag: string|null, statusCode: number}|null>}
  */
-function r2Get(key) {
-  return new Promise((resolve, reject) => {
-    const host = getHost();
-    const canonicalUri = `${getBasePath()}/${encodeKey(key)}`;
-    const payloadHash = sha256('');
-
-    const headers = { Host: host };
-    signRequest('GET', canonicalUri, '', headers, payloadHash);
-
-    const parsed = new URL(buildUrl(key));
-    const transport = parsed.protocol === 'https:' ? https : http;
+async function r2Get(key) {
+  const res = await sendRequest('GET', key);
+  const body = await readBody(res);
+  if (res.statusCode === 404) return null;
+  if (!isOk(res)) {
+    throw new Error(`R2 GET ${key} failed (${res.statusCode}): ${body}`);
+  }
+  return {
+    body,
+    contentType: res.headers['content-type'] || 'application/octet-stream',
+    lastModified: res.headers['last-modified'] || null,
+    etag: res.headers['etag'] || null,
+    statusCode: res.statusCode,
+  };
+}
 
-    transport.get(parsed, { headers }, (res) => {
-      if (res.statusCode === 404) {
-        return resolve(null);
-      }
-      const chunks = [];
-      res.on('data', chunk => chunks.push(chunk));
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({
-            body: Buffer.concat(chunks),
-            contentType: res.headers['content-type'] || 'application/octet-stream',
-            statusCode: res.statusCode,
-          });
-        } else {
-          reject(new Error(`R2 GET ${key} failed (${res.statusCode}): ${Buffer.concat(chunks).toString()}`));
-        }
-      });
-    }).on('error', reject);
-  });
+/**
+ * Fetch an object's metadata without downloading it.
+ * @param {string} key - Object key
+ * @returns {Promise<{contentType: string, size: number, lastModified: string|null, etag: string|null}|null>}
+ */
+async function r2Head(key) {
+  const res = await sendRequest('HEAD', key);
+  res.resume();
+  if (res.statusCode === 404) return null;
+  if (!isOk(res)) {
+    throw new Error(`R2 HEAD ${key} failed (${res.statusCode})`);
+  }
+  return objectMeta(res);
 }
 
 /**
- * Delete a file from R2.
+ * Download a file as a stream. The caller must consume or destroy `stream`.
  * @param {string} key - Object key
+ * @returns {Promise<{stream: import('stream').Readable, contentType: string, size: number, lastModified: string|null, etag: string|null}|null>}
  */
-function r2Delete(key) {
-  return new Promise((resolve, reject) => {
-    const host = getHost();
-    const canonicalUri = `${getBasePath()}/${encodeKey(key)}`;
-    const payloadHash = sha256('');
+async function r2GetStream(key) {
+  const res = await sendRequest('GET', key);
+  if (res.statusCode === 404) {
+    res.resume();
+    return null;
+  }
+  if (!isOk(res)) {
+    const data = await readBody(res);
+    throw new Error(`R2 GET ${key} failed (${res.statusCode}): ${data}`);
+  }
+  return { stream: res, ...objectMeta(res) };
+}
 
-    const headers = { Host: host };
-    signRequest('DELETE', canonicalUri, '', headers, payloadHash);
+// --- Multipart upload ---
 
-    const parsed = new URL(buildUrl(key));
-    const transport = parsed.protocol === 'https:' ? https : http;
+async function createMultipartUpload(key, contentType) {
+  const res = await sendRequest('POST', key, { query: { uploads: '' }, headers: { 'Content-Type': contentType } });
+  const data = (await readBody(res)).toString();
+  const match = /<UploadId>([^<]+)<\/UploadId>/.exec(data);
+  if (!isOk(res) || !match) {
+    throw new Error(`R2 multipart create ${key} failed (${res.statusCode}): ${data}`);
+  }
+  return decodeXml(match[1]);
+}
 
-    const req = transport.request(parsed, { method: 'DELETE', headers }, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve();
-        } else {
-          reject(new Error(`R2 DELETE ${key} failed (${res.statusCode}): ${data}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.end();
+async function uploadPart(key, uploadId, partNumber, body) {
+  const res = await sendRequest('PUT', key, { query: { partNumber, uploadId }, body });
+  const data = await readBody(res);
+  if (!isOk(res) || !res.headers['etag']) {
+    throw new Error(`R2 upload part ${partNumber} of ${key} failed (${res.statusCode}): ${data}`);
+  }
+  return res.headers['etag'];
+}
+
+async function completeMultipartUpload(key, uploadId, etags) {
+  const xml = '<CompleteMultipartUpload>' +
+    etags.map((etag, i) => `<Part><PartNumber>${i + 1}</PartNumber><ETag>${etag}</ETag></Part>`).join('') +
+    '</CompleteMultipartUpload>';
+  const res = await sendRequest('POST', key, {
+    query: { uploadId },
+    headers: { 'Content-Type': 'application/xml' },
+    body: Buffer.from(xml, 'utf-8'),
   });
+  const data = (await readBody(res)).toString();
+  // S3 can report a failed completion inside a 200 response
+  if (!isOk(res) || data.includes('<Error>')) {
+    throw new Error(`R2 multipart complete ${key} failed (${res.statusCode}): ${data}`);
+  }
+}
+
+async function abortMultipartUpload(key, uploadId) {
+  const res = await sendRequest('DELETE', key, { query: { uploadId } });
+  res.resume();
 }
 
 /**
- * List objects under a prefix.
- * @param {string} prefix - Key prefix (e.g. 'reports/')
- * @returns {Promise<string[]>} - Array of full keys
+ * Upload from a readable stream. Only one part is held in memory at a time:
+ * a stream that fits in a single part is sent as a plain PUT, anything
+ * larger goes through multipart upload (aborted again if a part fails).
+ * @param {string} key - Object key
+ * @param {AsyncIterable<Buffer>} stream - e.g. fs.createReadStream(...)
+ * @param {string} contentType - MIME type
+ * @param {{partSize?: number}} options
+ * @returns {Promise<{size: number, parts: number}>}
  */
-function r2List(prefix) {
-  return new Promise((resolve, reject) => {
-    const host = getHost();
-    const canonicalUri = `${getBasePath()}/`;
-    const queryString = `list-type=2&max-keys=1000&prefix=${encodeURIComponent(prefix)}`;
-    const payloadHash = sha256('');
-
-    const headers = { Host: host };
-    signRequest('GET', canonicalUri, queryString, headers, payloadHash);
-
-    const url = S3_ENDPOINT
-      ? `${S3_ENDPOINT}/${S3_BUCKET}/?${queryString}`
-      : `https://${host}/?${queryString}`;
+async function r2PutStream(key, stream, contentType = 'application/octet-stream', { partSize = DEFAULT_PART_SIZE } = {}) {
+  partSize = Math.max(partSize, MIN_PART_SIZE);
+  let buffered = [];
+  let bufferedSize = 0;
+  let uploadId = null;
+  const etags = [];
+  let size = 0;
+
+  async function flushPart() {
+    const part = Buffer.concat(buffered, bufferedSize);
+    buffered = [];
+    bufferedSize = 0;
+    if (!uploadId) uploadId = await createMultipartUpload(key, contentType);
+    etags.push(await uploadPart(key, uploadId, etags.length + 1, part));
+  }
+
+  try {
+    for await (const chunk of stream) {
+      const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      buffered.push(data);
+      bufferedSize += data.length;
+      size += data.length;
+      if (bufferedSize >= partSize) await flushPart();
+    }
+
+    if (!uploadId) {
+      await r2Put(key, Buffer.concat(buffered, bufferedSize), contentType);
+      return { size, parts: 1 };
+    }
+    if (bufferedSize > 0) await flushPart();
+    await completeMultipartUpload(key, uploadId, etags);
+    return { size, parts: etags.length };
+  } catch (error) {
+    if (uploadId) await abortMultipartUpload(key, uploadId).catch(() => {});
+    throw error;
+  }
+}
 
-    const parsed = new URL(url);
-    const transport = parsed.protocol === 'https:' ? https : http;
+/**
+ * Delete a file from R2.
+ * @param {string} key - Object key
+ */
+async function r2Delete(key) {
+  const res = await sendRequest('DELETE', key);
+  const data = await readBody(res);
+  if (!isOk(res)) {
+    throw new Error(`R2 DELETE ${key} failed (${res.statusCode}): ${data}`);
+  }
+}
 
-    transport.get(parsed, { headers }, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          const keys = [...data.matchAll(/<Key>([^<]+)<\/Key>/g)].map(m => m[1]);
-          resolve(keys);
-        } else {
-          reject(new Error(`R2 LIST failed (${res.statusCode}): ${data}`));
-        }
-      });
-    }).on('error', reject);
-  });
+/**
+ * List objects under a prefix, following continuation tokens until the
+ * listing is complete.
+ * @param {string} prefix - Key prefix (e.g. 'reports/')
+ * @param {{pageSize?: number}} options - keys per request (max 1000)
+ * @returns {Promise<string[]>} - Array of full keys
+ */
+async function r2List(prefix, { pageSize = 1000 } = {}) {
+  const keys = [];
+  let continuationToken = null;
+
+  do {
+    const query = { 'list-type': 2, 'max-keys': pageSize, prefix };
+    if (continuationToken) query['continuation-token'] = continuationToken;
+
+    const res = await sendRequest('GET', '', { query });
+    const data = (await readBody(res)).toString();
+    if (!isOk(res)) {
+      throw new Error(`R2 LIST failed (${res.statusCode}): ${data}`);
+    }
+
+    keys.push(...[...data.matchAll(/<Key>([^<]+)<\/Key>/g)].map(m => decodeXml(m[1])));
+    const truncated = /<IsTruncated>true<\/IsTruncated>/.test(data);
+    const next = /<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(data);
+    continuationToken = truncated && next ? decodeXml(next[1]) : null;
+  } while (continuationToken);
+
+  return keys;
 }
 
-export { r2Put, r2Get, r2Delete, r2List, isConfigured };
+export { r2Put, r2Get, r2Head, r2GetStream, r2PutStream, r2Delete, r2List, isConfigured };
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+/**
+ * SQLite index of report metadata, PR placements and playlists, so the
+ * library can sort, filter and paginate with queries instead of reading
+ * every report.
+ *
+ * The index itself is kept in the storage backend (meta/report-index.json,
+ * one entry per report), so it survives redeploys without a persistent disk;
+ * the database is an in-memory copy loaded from it with a single read. The
+ * report JSON documents stay the source of truth: create/update/delete keep
+ * the index in step, and it is rebuilt from them when it is missing or its
+ * format is out of date. Index writes are conditional, so a change made by
+ * another process (image-import.js, a reindex) is picked up rather than
+ * overwritten; the server also notices one within a minute when listing.
+ *
+ *   node report-db.js               # rebuild using the configured storage backend
+ *   POST /api/reports/reindex       # same, from a running server (admin)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { createStorage } from './storage.js';
+
+const INDEX_KEY = 'meta/report-index.json';
+// Bump when the entry format changes - an older index is rebuilt from the reports
+const INDEX_VERSION = 2;
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const MAX_COMMIT_ATTEMPTS = 3;
+
+const SCHEMA = `
+  CREATE TABLE reports (
+    id TEXT PRIMARY KEY,
+    artist_name TEXT NOT NULL DEFAULT '',
+    release_title TEXT NOT NULL DEFAULT '',
+    date_range TEXT NOT NULL DEFAULT '',
+    smart_link TEXT NOT NULL DEFAULT '',
+    hero_artwork TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL DEFAULT '',
+    updated_at TEXT NOT NULL DEFAULT '',
+    revision INTEGER NOT NULL DEFAULT 1,
+    password_protected INTEGER NOT NULL DEFAULT 0,
+    total_visits INTEGER NOT NULL DEFAULT 0,
+    unique_users INTEGER NOT NULL DEFAULT 0,
+    clicks_to_service INTEGER NOT NULL DEFAULT 0,
+    pr_count INTEGER NOT NULL DEFAULT 0,
+    playlist_count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX reports_created_at ON reports (created_at);
+  CREATE INDEX reports_updated_at ON reports (updated_at);
+  CREATE INDEX reports_artist_name ON reports (artist_name COLLATE NOCASE);
+  CREATE INDEX reports_release_title ON reports (release_title COLLATE NOCASE);
+
+  CREATE TABLE pr_placements (
+    report_id TEXT NOT NULL REFERENCES reports (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL DEFAULT '',
+    title TEXT NOT NULL DEFAULT '',
+    article_url TEXT NOT NULL DEFAULT '',
+    PRIMARY KEY (report_id, position)
+  );
+  CREATE INDEX pr_placements_name ON pr_placements (name COLLATE NOCASE);
+
+  CREATE TABLE playlists (
+    report_id TEXT NOT NULL REFERENCES reports (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL DEFAULT '',
+    spotify_url TEXT NOT NULL DEFAULT '',
+    PRIMARY KEY (report_id, position)
+  );
+  CREATE INDEX playlists_name ON playlists (name COLLATE NOCASE);
+`;
+
+// ?sort= values and the columns they order by
+const SORTS = {
+  created: 'created_at',
+  updated: 'updated_at',
+  artist: 'artist_name COLLATE NOCASE',
+  title: 'release_title COLLATE NOCASE',
+  visits: 'total_visits'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+/** Library row for a report. */
+function toSummary(row) {
+  return {
+    id: row.id,
+    artistName: row.artist_name,
+    releaseTitle: row.release_title,
+    dateRange: row.date_range,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    heroArtwork: row.hero_artwork,
+    passwordProtected: !!row.password_protected,
+    revision: row.revision,
+    totalVisits: row.total_visits,
+    prCount: row.pr_count,
+    playlistCount: row.playlist_count
+  };
+}
+
+const text = value => (typeof value === 'string' ? value : value == null ? '' : String(value));
+const count = value => parseInt(value, 10) || 0;
+
+/** What the index keeps of a report. */
+function indexEntry(report) {
+  const prPlacements = Array.isArray(report.prPlacements) ? report.prPlacements : [];
+  const playlists = Array.isArray(report.playlists) ? report.playlists : [];
+  return {
+    id: report.id,
+    artistName: text(report.artistName),
+    releaseTitle: text(report.releaseTitle),
+    dateRange: text(report.dateRange),
+    smartLink: text(report.smartLink),
+    heroArtwork: text(report.heroArtwork),
+    createdAt: text(report.createdAt),
+    updatedAt: text(report.updatedAt || report.createdAt),
+    revision: report.revision || 1,
+    passwordProtected: !!report.clientPasswordHash,
+    totalVisits: count(report.analytics?.totalVisits),
+    uniqueUsers: count(report.analytics?.uniqueUsers),
+    clicksToService: count(report.analytics?.clicksToService),
+    prPlacements: prPlacements.map(pr => ({ name: text(pr?.name), title: text(pr?.title), articleUrl: text(pr?.articleUrl) })),
+    playlists: playlists.map(pl => ({ name: text(pl?.name), spotifyUrl: text(pl?.spotifyUrl) }))
+  };
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Open the report database. It is loaded from the stored index on first use.
+ * @param {{storage: object, readJson: Function, writeJson: Function}} options
+ *   writeJson resolves to the storage put() result, {etag}
+ */
+function createReportDb({ storage, readJson, writeJson }) {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO reports (id, artist_name, release_title, date_range, smart_link, hero_artwork, created_at, updated_at,
+        revision, password_protected, total_visits, unique_users, clicks_to_service, pr_count, playlist_count)
+      VALUES (@id, @artistName, @releaseTitle, @dateRange, @smartLink, @heroArtwork, @createdAt, @updatedAt,
+        @revision, @passwordProtected, @totalVisits, @uniqueUsers, @clicksToService, @prCount, @playlistCount)
+      ON CONFLICT (id) DO UPDATE SET
+        artist_name = excluded.artist_name, release_title = excluded.release_title, date_range = excluded.date_range,
+        smart_link = excluded.smart_link, hero_artwork = excluded.hero_artwork, created_at = excluded.created_at,
+        updated_at = excluded.updated_at, revision = excluded.revision, password_protected = excluded.password_protected,
+        total_visits = excluded.total_visits, unique_users = excluded.unique_users,
+        clicks_to_service = excluded.clicks_to_service, pr_count = excluded.pr_count, playlist_count = excluded.playlist_count
+    `),
+    clearPr: db.prepare('DELETE FROM pr_placements WHERE report_id = ?'),
+    insertPr: db.prepare('INSERT INTO pr_placements (report_id, position, name, title, article_url) VALUES (?, ?, ?, ?, ?)'),
+    clearPlaylists: db.prepare('DELETE FROM playlists WHERE report_id = ?'),
+    insertPlaylist: db.prepare('INSERT INTO playlists (report_id, position, name, spotify_url) VALUES (?, ?, ?, ?)'),
+    remove: db.prepare('DELETE FROM reports WHERE id = ?')
+  };
+
+  function writeEntry(entry) {
+    statements.upsert.run({
+      ...entry,
+      passwordProtected: entry.passwordProtected ? 1 : 0,
+      prCount: entry.prPlacements.length,
+      playlistCount: entry.playlists.length
+    });
+    statements.clearPr.run(entry.id);
+    entry.prPlacements.forEach((pr, i) => statements.insertPr.run(entry.id, i, pr.name, pr.title, pr.articleUrl));
+    statements.clearPlaylists.run(entry.id);
+    entry.playlists.forEach((pl, i) => statements.insertPlaylist.run(entry.id, i, pl.name, pl.spotifyUrl));
+  }
+
+  const upsertTx = db.transaction(writeEntry);
+  const replaceAllTx = db.transaction(entries => {
+    db.exec('DELETE FROM reports');
+    entries.forEach(writeEntry);
+  });
+
+  // The stored index as last read or written: its entries, and its ETag for conditional writes
+  let entries = null;
+  let etag = null;
+  let rebuiltAt = null;
+  let checkedAt = 0;
+
+  // Serialize loads and writes so a rebuild can't overwrite a save made while it was reading
+  let queue = Promise.resolve();
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function useIndex(index, indexEtag) {
+    entries = new Map(index.reports.map(entry => [entry.id, entry]));
+    etag = indexEtag;
+    rebuiltAt = index.rebuiltAt;
+    checkedAt = Date.now();
+    replaceAllTx(index.reports);
+  }
+
+  async function writeIndex(options) {
+    const index = { version: INDEX_VERSION, rebuiltAt, reports: [...entries.values()] };
+    // The ETag of what we wrote, not a later head() that could see another process's write
+    etag = (await writeJson(INDEX_KEY, index, options))?.etag || null;
+    checkedAt = Date.now();
+  }
+
+  async function rebuildNow() {
+    const keys = (await storage.list('reports/')).filter(k => k.endsWith('.json'));
+    const reports = [];
+    for (const key of keys) {
+      try {
+        const report = await readJson(key);
+        if (report?.id) reports.push(indexEntry(report));
+      } catch (error) {
+        console.warn(`Skipping unreadable report ${key}:`, error.message);
+      }
+    }
+    rebuiltAt = new Date().toISOString();
+    useIndex({ rebuiltAt, reports }, null);
+    await writeIndex();
+    return { count: reports.length, rebuiltAt };
+  }
+
+  // Load from the stored index, building it from the reports if it is missing or outdated
+  async function loadNow() {
+    const stored = await storage.get(INDEX_KEY);
+    const index = stored ? JSON.parse(stored.body.toString('utf-8')) : null;
+    if (index?.version !== INDEX_VERSION) return rebuildNow();
+    useIndex(index, stored.etag);
+  }
+
+  // Reload if another process has written the index since we last looked (a stat on fs, until it has)
+  async function refreshNow() {
+    if (!entries) return loadNow();
+    if (Date.now() - checkedAt < REFRESH_INTERVAL_MS) return;
+    const head = await storage.head(INDEX_KEY);
+    checkedAt = Date.now();
+    if (head?.etag !== etag) await loadNow();
+  }
+
+  /**
+   * Change one entry and write the index. If another process wrote it in the
+   * meantime, reload and apply the change again.
+   */
+  async function commit(apply) {
+    for (let attempt = 1; ; attempt++) {
+      if (!entries) await loadNow();
+      apply();
+      try {
+        await writeIndex(etag ? { ifMatch: etag } : undefined);
+        return;
+      } catch (error) {
+        if (error.code !== 'PRECONDITION_FAILED' || attempt >= MAX_COMMIT_ATTEMPTS) throw error;
+        await loadNow();
+      }
+    }
+  }
+
+  /**
+   * Rebuild from the report JSON documents.
+   * @returns {Promise<{count: number, rebuiltAt: string}>}
+   */
+  function rebuild() {
+    return enqueue(rebuildNow);
+  }
+
+  /**
+   * Query the library.
+   * @param {object} query
+   * @param {string} [query.q] - matches artist, title, PR outlet/title or playlist name
+   * @param {string} [query.artist] - artist name contains
+   * @param {string} [query.outlet] - has a PR placement from this outlet (contains)
+   * @param {string} [query.playlist] - has a playlist with this name (contains)
+   * @param {string} [query.from] - created on or after (ISO date)
+   * @param {string} [query.to] - created on or before (ISO date)
+   * @param {boolean} [query.passwordProtected]
+   * @param {string} [query.sort] - created (default), updated, artist, title or visits
+   * @param {string} [query.order] - asc or desc (default desc for dates and visits, asc for names)
+   * @param {number} [query.limit] - page size (all results when omitted)
+   * @param {number} [query.offset]
+   * @returns {Promise<{reports: object[], total: number}>}
+   */
+  async function list({ q, artist, outlet, playlist, from, to, passwordProtected, sort = 'created', order, limit, offset = 0 } = {}) {
+    await enqueue(refreshNow);
+    const where = [];
+    const params = {};
+    const contains = (name, value) => { params[name] = `%${escapeLike(value)}%`; return `@${name}`; };
+
+    if (q) {
+      const p = contains('q', q);
+      where.push(`(r.artist_name LIKE ${p} ESCAPE '\\' OR r.release_title LIKE ${p} ESCAPE '\\'
+        OR EXISTS (SELECT 1 FROM pr_placements pr WHERE pr.report_id = r.id AND (pr.name LIKE ${p} ESCAPE '\\' OR pr.title LIKE ${p} ESCAPE '\\'))
+        OR EXISTS (SELECT 1 FROM playlists pl WHERE pl.report_id = r.id AND pl.name LIKE ${p} ESCAPE '\\'))`);
+    }
+    if (artist) where.push(`r.artist_name LIKE ${contains('artist', artist)} ESCAPE '\\'`);
+    if (outlet) {
+      where.push(`EXISTS (SELECT 1 FROM pr_placements pr WHERE pr.report_id = r.id AND pr.name LIKE ${contains('outlet', outlet)} ESCAPE '\\')`);
+    }
+    if (playlist) {
+      where.push(`EXISTS (SELECT 1 FROM playlists pl WHERE pl.report_id = r.id AND pl.name LIKE ${contains('playlist', playlist)} ESCAPE '\\')`);
+    }
+    if (from) { params.from = from; where.push('r.created_at >= @from'); }
+    if (to) {
+      // A bare date includes that whole day
+      params.to = /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+      where.push('r.created_at <= @to');
+    }
+    if (passwordProtected !== undefined) {
+      params.passwordProtected = passwordProtected ? 1 : 0;
+      where.push('r.password_protected = @passwordProtected');
+    }
+
+    const column = SORTS[sort];
+    if (!column) throw new Error(`Unknown sort "${sort}" (expected one of: ${Object.keys(SORTS).join(', ')})`);
+    const direction = order ? (order === 'asc' ? 'ASC' : 'DESC') : (sort === 'artist' || sort === 'title' ? 'ASC' : 'DESC');
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM reports r ${whereSql}`).get(params).n;
+    let sql = `SELECT r.* FROM reports r ${whereSql} ORDER BY ${column} ${direction}, r.id`;
+    if (limit !== undefined) {
+      params.limit = Math.min(Math.max(parseInt(limit, 10) || 0, 1), MAX_PAGE_SIZE);
+      params.offset = Math.max(parseInt(offset, 10) || 0, 0);
+      sql += ' LIMIT @limit OFFSET @offset';
+    }
+    return { reports: db.prepare(sql).all(params).map(toSummary), total };
+  }
+
+  /** Add or replace a report after it was saved. */
+  function upsert(report) {
+    const entry = indexEntry(report);
+    return enqueue(() => commit(() => {
+      entries.set(entry.id, entry);
+      upsertTx(entry);
+    }));
+  }
+
+  /** Drop a report after it was deleted. */
+  function remove(id) {
+    return enqueue(() => commit(() => {
+      entries.delete(id);
+      statements.remove.run(id);
+    }));
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { list, upsert, remove, rebuild, close };
+}
+
+async function main() {
+  const __dirname = path.dirname(fileURLToPath(import.meta.url));
+  const dataDir = process.env.NODE_ENV === 'production' ? '/data' : path.join(__dirname, 'data');
+  const storage = createStorage({ dataDir });
+
+  async function readJson(key) {
+    const result = await storage.get(key);
+    return result ? JSON.parse(result.body.toString('utf-8')) : null;
+  }
+
+  async function writeJson(key, data, options) {
+    return storage.put(key, JSON.stringify(data, null, 2), 'application/json', options);
+  }
+
+  console.log(`🔎 Rebuilding report index (${storage.name} storage)...`);
+  const reportDb = createReportDb({ storage, readJson, writeJson });
+  const { count } = await reportDb.rebuild();
+  reportDb.close();
+  console.log(`✅ Indexed ${count} reports`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Reindex failed:', err.message);
+    process.exit(1);
+  });
+}
+
+export { createReportDb };
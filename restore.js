@@ -0,0 +1,374 @@
+/**
+ * Restoring reports and uploads from a backup archive.
+ *
+ * Archives are the .tar.gz files backup.js exports: manifest.json plus
+ * reports/<id>.json, uploads/<filename> and the other backed-up prefixes
+ * (revisions/, trash/, audit/, meta/). Encrypted archives are decrypted
+ * first with the keys in BACKUP_ENCRYPTION_KEYS (see backup-crypto.js). Nothing is extracted until every
+ * entry has been checked - only regular files under those prefixes whose
+ * every path segment is a safe name (and their directories) are accepted, so
+ * an archive can't write outside its staging directory, plant links or drop
+ * other files. Extracted reports must parse
+ * and match their file name, and a manifest, when present, must agree with
+ * the files byte for byte.
+ *
+ * A restore is planned against the current storage first:
+ *
+ *   reports  added / changed / removed (in storage, not in the archive) / unchanged
+ *   uploads  added / changed / unchanged (uploads are never removed - see upload-gc.js)
+ *
+ * A dry run returns just that plan. Otherwise a snapshot of the current data
+ * is taken, then the plan is applied through the storage backend: changed
+ * reports get a new revision (so history shows the restore and open editors
+ * see a conflict) and removed reports go to the trash. Passing a report ID or
+ * upload filename restores only that one - a report along with any uploads it
+ * references that are missing, an upload along with its resized variants.
+ *
+ * Only reports and uploads are restored. Revision history, the trash, the
+ * audit log and meta/ are in the archive to be loaded by hand when needed,
+ * e.g. node storage-sync.js backup.tar.gz r2 --prefix meta/ --prefix revisions/
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { collectReferences } from './upload-gc.js';
+import { sourceFilename } from './images.js';
+import { loadKeyring, isEncryptedFile, decrypt } from './backup-crypto.js';
+import { BACKUP_PREFIXES } from './backup.js';
+
+const REPORT_ENTRY = /^reports\/([a-f0-9-]+)\.json$/;
+// Backed up alongside reports and uploads, but not restored from here
+const OTHER_PREFIXES = BACKUP_PREFIXES.filter(prefix => prefix !== 'reports/' && prefix !== 'uploads/');
+
+/**
+ * Whether a name is safe as an upload filename: a single path segment with no
+ * leading dot or control characters. Uploads from before images.js kept the
+ * original file name after their UUID, so spaces, brackets and the like are
+ * allowed.
+ */
+function isSafeUploadName(name) {
+  return typeof name === 'string' && name.length > 0 && name.length <= 255 &&
+    !name.startsWith('.') && !/[/\\]/.test(name) && !/[\x00-\x1f\x7f]/.test(name);
+}
+
+// The filename of an uploads/<name> archive entry, or null
+function uploadEntryName(name) {
+  const filename = name.startsWith('uploads/') ? name.slice('uploads/'.length) : null;
+  return isSafeUploadName(filename) ? filename : null;
+}
+
+// Whether an archive entry is a file under one of the other backed-up prefixes
+function isOtherEntry(name) {
+  return OTHER_PREFIXES.some(prefix => name.startsWith(prefix)) && name.split('/').every(isSafeUploadName);
+}
+
+// Whether an archive entry is a directory a backup can contain
+function isDirectoryEntry(name) {
+  return name === '' || BACKUP_PREFIXES.includes(`${name}/`) || isOtherEntry(name);
+}
+
+function invalidArchive(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ARCHIVE';
+  return error;
+}
+
+function notInBackup(message) {
+  const error = new Error(message);
+  error.code = 'NOT_IN_BACKUP';
+  return error;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Check every entry of a .tar.gz before anything is extracted.
+ * Rejects with an error whose code is 'INVALID_ARCHIVE' listing what's wrong.
+ * @param {string} archivePath
+ * @returns {string[]} the file entries, e.g. 'reports/abc.json'
+ */
+function validateArchive(archivePath) {
+  let listing;
+  try {
+    // A UTF-8 locale lists non-ASCII names as they are; tar still escapes control characters with a backslash
+    listing = execFileSync('tar', ['-tvzf', archivePath], {
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+      env: { ...process.env, LC_ALL: 'C.UTF-8' }
+    });
+  } catch (error) {
+    throw invalidArchive('Not a readable .tar.gz archive');
+  }
+
+  const files = [];
+  const problems = [];
+  for (const line of listing.split('\n').filter(Boolean)) {
+    // -rw-r--r-- user/group 1234 2026-01-01 12:00 reports/abc.json
+    const match = line.match(/^(\S)\S*\s+\S+\s+\d+\s+\S+\s+\S+\s+(.*)$/);
+    if (!match) {
+      problems.push(line);
+      continue;
+    }
+    const [, type, rawName] = match;
+    const name = rawName.replace(/^\.\//, '');
+    if (type === 'd' && isDirectoryEntry(name.replace(/\/$/, ''))) continue;
+    if (type === '-' && (name === 'manifest.json' || REPORT_ENTRY.test(name) || uploadEntryName(name) || isOtherEntry(name))) {
+      files.push(name);
+      continue;
+    }
+    problems.push(type === '-' || type === 'd' ? name : `${name} (not a regular file)`);
+  }
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 5).join(', ');
+    throw invalidArchive(`Unexpected archive entries: ${shown}${problems.length > 5 ? ` and ${problems.length - 5} more` : ''}`);
+  }
+  if (!files.some(f => f !== 'manifest.json')) throw invalidArchive('Archive contains no data');
+  return files;
+}
+
+/**
+ * Validate an archive and extract it into a new temporary directory,
+ * decrypting it first if it is encrypted. The caller removes the directory
+ * when done. Decryption errors carry code 'MISSING_KEY' or 'DECRYPT_FAILED'.
+ * @returns {{dir: string, encrypted: boolean, manifest: object|null, reports: Map<string, {body: Buffer, report: object}>, uploads: Map<string, Buffer>, other: string[]}}
+ *   other: keys of the files under the other backed-up prefixes, left in dir/files
+ */
+function extractArchive(archivePath) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restore-'));
+  try {
+    const encrypted = isEncryptedFile(archivePath);
+    if (encrypted) {
+      const plainPath = path.join(dir, 'archive.tar.gz');
+      fs.writeFileSync(plainPath, decrypt(fs.readFileSync(archivePath), loadKeyring()));
+      archivePath = plainPath;
+    }
+    const files = validateArchive(archivePath);
+    const extractDir = path.join(dir, 'files');
+    fs.mkdirSync(extractDir);
+    execFileSync('tar', ['-xzf', archivePath, '-C', extractDir, '--no-same-owner', '--no-same-permissions'], { stdio: 'pipe' });
+
+    const reports = new Map();
+    const uploads = new Map();
+    const other = new Map();
+    let manifest = null;
+    for (const name of files) {
+      const body = fs.readFileSync(path.join(extractDir, name));
+      const reportMatch = name.match(REPORT_ENTRY);
+      if (name === 'manifest.json') {
+        try {
+          manifest = JSON.parse(body.toString('utf-8'));
+        } catch (error) {
+          throw invalidArchive('manifest.json is not valid JSON');
+        }
+      } else if (reportMatch) {
+        let report;
+        try {
+          report = JSON.parse(body.toString('utf-8'));
+        } catch (error) {
+          throw invalidArchive(`${name} is not valid JSON`);
+        }
+        if (!report || report.id !== reportMatch[1]) throw invalidArchive(`${name} does not hold report ${reportMatch[1]}`);
+        reports.set(report.id, { body, report });
+      } else if (isOtherEntry(name)) {
+        other.set(name, sha256(body));
+      } else {
+        uploads.set(uploadEntryName(name), body);
+      }
+    }
+
+    // The manifest has to describe exactly the files that were archived
+    if (manifest) {
+      const listed = new Map((manifest.objects || []).map(o => [o.key, o.sha256]));
+      const archived = new Map(other);
+      reports.forEach(({ body }, id) => archived.set(`reports/${id}.json`, sha256(body)));
+      uploads.forEach((body, filename) => archived.set(`uploads/${filename}`, sha256(body)));
+      for (const [key, checksum] of archived) {
+        if (!listed.has(key)) throw invalidArchive(`${key} is not in the manifest`);
+        if (listed.get(key) !== checksum) throw invalidArchive(`${key} does not match its manifest checksum`);
+      }
+      for (const key of listed.keys()) {
+        if (!archived.has(key)) throw invalidArchive(`${key} is in the manifest but not the archive`);
+      }
+    }
+
+    return { dir, encrypted, manifest, reports, uploads, other: [...other.keys()] };
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Create a restorer writing into the storage backend.
+ * @param {object} options
+ * @param {object} options.storage - storage backend
+ * @param {object} options.trash - trash bin (see trash.js) for reports a restore removes
+ * @param {object} options.revisions - revision store, to record restored reports
+ * @param {Function} options.snapshot - snapshots the current data, resolves to the backup ID or archive key
+ */
+function createRestorer({ storage, trash, revisions, snapshot }) {
+  let queue = Promise.resolve();
+
+  /** Work out what restoring the extracted archive would change. */
+  async function plan(archive, { reportId, upload }) {
+    const result = {
+      reports: { added: [], changed: [], removed: [], unchanged: 0 },
+      uploads: { added: [], changed: [], unchanged: 0 }
+    };
+
+    // Pick what to restore
+    let reportIds = [...archive.reports.keys()];
+    let uploadNames = [...archive.uploads.keys()];
+    if (reportId || upload) {
+      reportIds = [];
+      uploadNames = [];
+      if (reportId) {
+        if (!archive.reports.has(reportId)) throw notInBackup(`Report ${reportId} is not in this backup`);
+        reportIds.push(reportId);
+        // Bring back the images it uses, but only where they've gone missing
+        const referenced = collectReferences(archive.reports.get(reportId).report);
+        for (const filename of archive.uploads.keys()) {
+          if ((referenced.has(filename) || referenced.has(sourceFilename(filename))) && !(await storage.head(`uploads/${filename}`))) {
+            uploadNames.push(filename);
+          }
+        }
+      }
+      if (upload) {
+        if (!archive.uploads.has(upload)) throw notInBackup(`Upload ${upload} is not in this backup`);
+        uploadNames.push(...[...archive.uploads.keys()].filter(f => f === upload || sourceFilename(f) === upload));
+      }
+      uploadNames = [...new Set(uploadNames)];
+    }
+
+    for (const id of reportIds) {
+      const current = await storage.get(`reports/${id}.json`);
+      if (!current) {
+        result.reports.added.push(id);
+      } else if (!current.body.equals(archive.reports.get(id).body)) {
+        result.reports.changed.push(id);
+      } else {
+        result.reports.unchanged++;
+      }
+    }
+    // A full restore makes the library match the backup
+    if (!reportId && !upload) {
+      for (const key of (await storage.list('reports/')).filter(k => k.endsWith('.json'))) {
+        const id = key.slice('reports/'.length, -'.json'.length);
+        if (!archive.reports.has(id)) result.reports.removed.push(id);
+      }
+    }
+
+    for (const filename of uploadNames) {
+      const current = await storage.get(`uploads/${filename}`);
+      if (!current) {
+        result.uploads.added.push(filename);
+      } else if (!current.body.equals(archive.uploads.get(filename))) {
+        result.uploads.changed.push(filename);
+      } else {
+        result.uploads.unchanged++;
+      }
+    }
+    return result;
+  }
+
+  async function apply(archive, changes, { actor, onProgress }) {
+    const total = changes.uploads.added.length + changes.uploads.changed.length +
+      changes.reports.added.length + changes.reports.changed.length + changes.reports.removed.length;
+    let done = 0;
+    const step = () => onProgress({ phase: 'restoring', done: ++done, total });
+    onProgress({ phase: 'restoring', done, total });
+
+    for (const filename of [...changes.uploads.added, ...changes.uploads.changed]) {
+      await storage.put(`uploads/${filename}`, archive.uploads.get(filename));
+      step();
+    }
+
+    const restored = [];
+    // New reports go back byte for byte, so a later restore of the same backup sees them unchanged
+    for (const id of changes.reports.added) {
+      await storage.put(`reports/${id}.json`, archive.reports.get(id).body, 'application/json');
+      restored.push(id);
+      step();
+    }
+    for (const id of changes.reports.changed) {
+      const current = await storage.get(`reports/${id}.json`);
+      const previous = JSON.parse(current.body.toString('utf-8'));
+      const report = {
+        ...archive.reports.get(id).report,
+        updatedAt: new Date().toISOString(),
+        revision: (previous.revision || 1) + 1
+      };
+      await storage.put(`reports/${id}.json`, JSON.stringify(report, null, 2), 'application/json');
+      await revisions.record(report, { actor, action: 'restore_backup', previous });
+      restored.push(id);
+      step();
+    }
+
+    const trashed = [];
+    for (const id of changes.reports.removed) {
+      const current = await storage.get(`reports/${id}.json`);
+      if (current) {
+        await trash.add(JSON.parse(current.body.toString('utf-8')), { deletedBy: actor?.username || '' });
+        trashed.push(id);
+      }
+      step();
+    }
+    return { restored, trashed };
+  }
+
+  /**
+   * Restore from a .tar.gz archive. Restores run one at a time.
+   * @param {string} archivePath
+   * @param {object} options
+   * @param {boolean} [options.dryRun] - only report what would change
+   * @param {string} [options.reportId] - restore just this report
+   * @param {string} [options.upload] - restore just this upload (filename)
+   * @param {object} [options.actor] - user the restore is attributed to
+   * @param {Function} [options.onProgress] - gets {phase, done, total} as the restore goes
+   * Rejects with code 'INVALID_ARCHIVE' for a bad archive, 'MISSING_KEY' or
+   * 'DECRYPT_FAILED' when it can't be decrypted and 'NOT_IN_BACKUP' when the
+   * requested report or upload isn't in it.
+   * @returns {Promise<{dryRun: boolean, snapshot: string|null, manifest: object|null, reports: object, uploads: object, restored?: string[], trashed?: string[]}>}
+   */
+  function restore(archivePath, { dryRun = false, reportId, upload, actor = null, onProgress = () => {} } = {}) {
+    const run = queue.then(async () => {
+      onProgress({ phase: 'validating' });
+      const archive = extractArchive(archivePath);
+      try {
+        const changes = await plan(archive, { reportId, upload });
+        const result = { dryRun, snapshot: null, encrypted: archive.encrypted, manifest: archive.manifest ? { createdAt: archive.manifest.createdAt, storage: archive.manifest.storage } : null, ...changes };
+        const changesAnything = changes.reports.added.length + changes.reports.changed.length + changes.reports.removed.length +
+          changes.uploads.added.length + changes.uploads.changed.length > 0;
+        if (dryRun || !changesAnything) return result;
+
+        // Nothing to lose on an empty instance - otherwise keep a way back
+        const hasData = (await storage.list('reports/')).length + (await storage.list('uploads/')).length > 0;
+        if (hasData) {
+          onProgress({ phase: 'snapshot' });
+          try {
+            result.snapshot = await snapshot();
+          } catch (error) {
+            throw new Error(`Pre-restore snapshot failed, nothing was restored: ${error.message}`);
+          }
+        }
+
+        const { restored, trashed } = await apply(archive, changes, { actor, onProgress });
+        return { ...result, restored, trashed };
+      } finally {
+        fs.rmSync(archive.dir, { recursive: true, force: true });
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { restore };
+}
+
+export { isSafeUploadName, validateArchive, extractArchive, createRestorer };
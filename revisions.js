@@ -0,0 +1,109 @@
+/**
+ * Revision history for reports.
+ *
+ * Every saved version of a report is kept as its own document
+ * (revisions/<reportId>/<revision>.json), plus a small per-report log
+ * (revisions/<reportId>/index.json) recording who saved each revision, when,
+ * and which fields changed. Reports carry their current `revision` number.
+ *
+ * Snapshots leave out the client password hash: that is access control, not
+ * report content, so restoring an old revision never changes who can open it.
+ * Setting or clearing the password is still recorded as a revision of its own
+ * (action password_set or password_cleared), with the content unchanged.
+ */
+
+import { diffFields } from './audit.js';
+
+// Bookkeeping fields that change on every save and aren't worth diffing
+const IGNORED_FIELDS = ['updatedAt', 'revision'];
+
+function revisionKey(reportId, revision) {
+  return `revisions/${reportId}/${String(revision).padStart(6, '0')}.json`;
+}
+
+function logKey(reportId) {
+  return `revisions/${reportId}/index.json`;
+}
+
+/** Report content as stored in a snapshot. */
+function snapshot(report) {
+  const { clientPasswordHash, ...content } = report;
+  return content;
+}
+
+/** Field-level changes between two report versions. */
+function diffReports(before, after) {
+  const strip = report => {
+    const content = { ...snapshot(report || {}) };
+    IGNORED_FIELDS.forEach(field => delete content[field]);
+    return content;
+  };
+  return diffFields(strip(before), strip(after));
+}
+
+/**
+ * Create a revision store on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ */
+function createRevisionStore({ readJson, writeJson }) {
+  /** Revision log for a report, oldest first. */
+  async function list(reportId) {
+    return (await readJson(logKey(reportId))) || [];
+  }
+
+  /**
+   * Record a report that has just been saved as its `revision`.
+   * Reports saved before revisions existed get their previous version
+   * recorded first, so it can still be restored.
+   * @param {object} report - the saved report (with `revision` set)
+   * @param {{actor?: object, action: string, previous?: object, restoredFrom?: number}} options
+   */
+  async function record(report, { actor = null, action, previous = null, restoredFrom } = {}) {
+    const log = await list(report.id);
+    const savedBy = actor ? { id: actor.id, username: actor.username } : null;
+
+    if (log.length === 0 && previous) {
+      const revision = previous.revision || 1;
+      await writeJson(revisionKey(report.id, revision), { ...snapshot(previous), revision });
+      log.push({
+        revision,
+        savedAt: previous.updatedAt || previous.createdAt || null,
+        savedBy: null,
+        action: 'import',
+        changedFields: []
+      });
+    }
+
+    await writeJson(revisionKey(report.id, report.revision), snapshot(report));
+    const entry = {
+      revision: report.revision,
+      savedAt: report.updatedAt || report.createdAt || new Date().toISOString(),
+      savedBy,
+      action,
+      changedFields: previous ? diffReports(previous, report).map(c => c.field) : []
+    };
+    if (restoredFrom) entry.restoredFrom = restoredFrom;
+    log.push(entry);
+    await writeJson(logKey(report.id), log);
+    return entry;
+  }
+
+  /** A single revision's report content, or null. */
+  async function get(reportId, revision) {
+    return readJson(revisionKey(reportId, revision));
+  }
+
+  /**
+   * Field-level diff between two revisions.
+   * @returns {Promise<Array<{field: string, before: *, after: *}>|null>} null if either is missing
+   */
+  async function diff(reportId, from, to) {
+    const [before, after] = await Promise.all([get(reportId, from), get(reportId, to)]);
+    if (!before || !after) return null;
+    return diffReports(before, after);
+  }
+
+  return { list, record, get, diff };
+}
+
+export { diffReports, createRevisionStore };
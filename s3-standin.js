@@ -0,0 +1,230 @@
+/**
+ * A small in-memory S3 stand-in, so r2.js can be checked without a bucket
+ * (storage-check.js starts one by default).
+ *
+ * It speaks the path-style subset of the S3 API that r2.js uses, and behaves
+ * the way R2 does where emulators tend to differ:
+ *
+ *   GET    /<bucket>?list-type=2        ListObjectsV2 (prefix, max-keys, continuation-token)
+ *   PUT    /<bucket>/<key>              If-Match is honoured (412 on mismatch)
+ *   GET    /<bucket>/<key>, HEAD        ETag, Content-Type, Content-Length, Last-Modified
+ *   DELETE /<bucket>/<key>              204 whether or not the key exists
+ *   POST   ?uploads, PUT ?partNumber&uploadId, POST ?uploadId, DELETE ?uploadId
+ *                                       multipart upload (parts but the last must be >= 5 MiB)
+ *
+ * Every request must carry a valid AWS Signature V4 for the given keys, so
+ * signing mistakes show up here rather than against the real bucket.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+function md5(data) {
+  return crypto.createHash('md5').update(data).digest();
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function rfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/** Check the request's SigV4 signature; resolves to an error code, or null if it's valid. */
+function checkSignature(req, url, body, { accessKey, secretKey }) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'AccessDenied';
+  const [, credential, dateStamp, region, signedHeaders, signature] = match;
+  if (credential !== accessKey) return 'InvalidAccessKeyId';
+  const payloadHash = req.headers['x-amz-content-sha256'];
+  if (payloadHash !== sha256(body)) return 'XAmzContentSHA256Mismatch';
+
+  const query = [...url.searchParams.entries()]
+    .map(([k, v]) => [rfc3986(k), rfc3986(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  const headerNames = signedHeaders.split(';');
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(req.headers[name] ?? '').trim()}\n`).join('');
+  const canonicalRequest = [req.method, url.pathname, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const expected = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+  return expected === signature ? null : 'SignatureDoesNotMatch';
+}
+
+/**
+ * Start a stand-in on a free local port.
+ * @param {{bucket?: string, accessKey?: string, secretKey?: string}} options
+ * @returns {Promise<{endpoint: string, bucket: string, accessKey: string, secretKey: string, close: () => Promise<void>}>}
+ */
+async function startS3Standin({ bucket = 'standin', accessKey = 'standin', secretKey = 'standin-secret' } = {}) {
+  const objects = new Map();
+  const uploads = new Map();
+
+  function send(res, status, body = '', headers = {}) {
+    res.writeHead(status, { 'Content-Length': Buffer.byteLength(body), ...headers });
+    res.end(body);
+  }
+
+  function sendError(res, status, code) {
+    send(res, status, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`, { 'Content-Type': 'application/xml' });
+  }
+
+  function objectHeaders(object) {
+    return {
+      'Content-Type': object.contentType,
+      'Content-Length': object.body.length,
+      'Last-Modified': object.lastModified.toUTCString(),
+      ETag: object.etag
+    };
+  }
+
+  function listObjects(res, params) {
+    const prefix = params.get('prefix') || '';
+    const maxKeys = Math.min(parseInt(params.get('max-keys') || '1000', 10), 1000);
+    const after = params.has('continuation-token') ? Buffer.from(params.get('continuation-token'), 'base64url').toString() : '';
+    const keys = [...objects.keys()].filter(k => k.startsWith(prefix) && k > after).sort();
+    const page = keys.slice(0, maxKeys);
+    const truncated = keys.length > page.length;
+    const xml = '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+      `<Name>${escapeXml(bucket)}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>` +
+      `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>` +
+      page.map(k => `<Contents><Key>${escapeXml(k)}</Key><Size>${objects.get(k).body.length}</Size><ETag>${escapeXml(objects.get(k).etag)}</ETag></Contents>`).join('') +
+      (truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString('base64url')}</NextContinuationToken>` : '') +
+      '</ListBucketResult>';
+    send(res, 200, xml, { 'Content-Type': 'application/xml' });
+  }
+
+  function completeUpload(res, key, uploadId, body) {
+    const upload = uploads.get(uploadId);
+    if (!upload || upload.key !== key) return sendError(res, 404, 'NoSuchUpload');
+    const requested = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>\s*<ETag>([^<]+)<\/ETag>/g)]
+      .map(m => ({ number: Number(m[1]), etag: m[2].replace(/&quot;/g, '"') }));
+    if (requested.length === 0) return sendError(res, 400, 'MalformedXML');
+    const parts = [];
+    for (const [i, { number, etag }] of requested.entries()) {
+      const part = upload.parts.get(number);
+      if (!part || part.etag !== etag) return sendError(res, 400, 'InvalidPart');
+      if (i > 0 && number <= requested[i - 1].number) return sendError(res, 400, 'InvalidPartOrder');
+      if (i < requested.length - 1 && part.body.length < MIN_PART_SIZE) return sendError(res, 400, 'EntityTooSmall');
+      parts.push(part);
+    }
+    const etag = `"${md5(Buffer.concat(parts.map(p => md5(p.body)))).toString('hex')}-${parts.length}"`;
+    objects.set(key, { body: Buffer.concat(parts.map(p => p.body)), contentType: upload.contentType, etag, lastModified: new Date() });
+    uploads.delete(uploadId);
+    send(res, 200, `<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUploadResult><Key>${escapeXml(key)}</Key><ETag>${escapeXml(etag)}</ETag></CompleteMultipartUploadResult>`,
+      { 'Content-Type': 'application/xml' });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://standin');
+    const body = await readBody(req);
+    const authError = checkSignature(req, url, body, { accessKey, secretKey });
+    if (authError) return sendError(res, 403, authError);
+
+    const [, bucketName, ...rest] = url.pathname.split('/');
+    if (decodeURIComponent(bucketName) !== bucket) return sendError(res, 404, 'NoSuchBucket');
+    const key = rest.map(decodeURIComponent).join('/');
+    const params = url.searchParams;
+
+    if (!key) {
+      if (req.method === 'GET' && params.get('list-type') === '2') return listObjects(res, params);
+      return sendError(res, 501, 'NotImplemented');
+    }
+
+    if (params.has('uploadId')) {
+      const uploadId = params.get('uploadId');
+      const upload = uploads.get(uploadId);
+      if (req.method === 'PUT' && params.has('partNumber')) {
+        if (!upload || upload.key !== key) return sendError(res, 404, 'NoSuchUpload');
+        const etag = `"${md5(body).toString('hex')}"`;
+        upload.parts.set(Number(params.get('partNumber')), { body, etag });
+        return send(res, 200, '', { ETag: etag });
+      }
+      if (req.method === 'POST') return completeUpload(res, key, uploadId, body);
+      if (req.method === 'DELETE') {
+        uploads.delete(uploadId);
+        return send(res, 204);
+      }
+      return sendError(res, 405, 'MethodNotAllowed');
+    }
+
+    if (req.method === 'POST' && params.has('uploads')) {
+      const uploadId = crypto.randomBytes(12).toString('hex');
+      uploads.set(uploadId, { key, contentType: req.headers['content-type'] || 'application/octet-stream', parts: new Map() });
+      return send(res, 200, `<?xml version="1.0" encoding="UTF-8"?><InitiateMultipartUploadResult><Bucket>${escapeXml(bucket)}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`,
+        { 'Content-Type': 'application/xml' });
+    }
+
+    const object = objects.get(key);
+    switch (req.method) {
+      case 'PUT': {
+        const ifMatch = req.headers['if-match'];
+        if (ifMatch && (!object || (ifMatch !== '*' && ifMatch !== object.etag))) return sendError(res, 412, 'PreconditionFailed');
+        const etag = `"${md5(body).toString('hex')}"`;
+        objects.set(key, { body, contentType: req.headers['content-type'] || 'application/octet-stream', etag, lastModified: new Date() });
+        return send(res, 200, '', { ETag: etag });
+      }
+      case 'GET':
+        if (!object) return sendError(res, 404, 'NoSuchKey');
+        res.writeHead(200, objectHeaders(object));
+        return res.end(object.body);
+      case 'HEAD':
+        if (!object) {
+          res.writeHead(404);
+          return res.end();
+        }
+        res.writeHead(200, objectHeaders(object));
+        return res.end();
+      case 'DELETE':
+        objects.delete(key);
+        return send(res, 204);
+      default:
+        return sendError(res, 405, 'MethodNotAllowed');
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!res.headersSent) sendError(res, 500, 'InternalError');
+      console.error('S3 stand-in error:', error.message);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    accessKey,
+    secretKey,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+export { startS3Standin };
@@ -1,36 +1,159 @@
 import express from 'express';
-import { chromium } from 'playwright';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import { google } from 'googleapis';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { r2Put, r2Get, r2Delete, r2List, isConfigured as r2IsConfigured } from './r2.js';
+import { createStorage } from './storage.js';
+import { createReportDb } from './report-db.js';
+import { createRevisionStore, diffReports } from './revisions.js';
+import { createUserStore, hasRole, publicUser, hashPassword, verifyPassword } from './users.js';
+import { createSessionStore, SESSION_MAX_AGE_MS } from './sessions.js';
+import { createShareStore } from './shares.js';
+import { createApiKeyStore, getBearerToken, API_KEY_SCOPES } from './apikeys.js';
+import { createAuditLog, diffFields } from './audit.js';
+import { createDatabaseLinkStore } from './dblinks.js';
+import { createTrash } from './trash.js';
+import { createUploadCollector } from './upload-gc.js';
+import { VARIANT_WIDTHS, processImage, readImageWidth, saveImage, sourceFilename } from './images.js';
+import { createImageImporter, imageSlots, useImportedImages } from './image-import.js';
+import { createRestorer, isSafeUploadName } from './restore.js';
+import { createJobTracker } from './jobs.js';
+import { createBrowserPool } from './browser-pool.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Storage mode: R2 in production (if configured), filesystem in dev
-const USE_R2 = process.env.NODE_ENV === 'production' && r2IsConfigured();
+// Render terminates TLS in a proxy in front of the app; trust it so req.ip is the client's
+app.set('trust proxy', 1);
+
+// Storage backend: STORAGE_BACKEND, or R2 in production (if configured) and filesystem in dev
 const DATA_DIR = process.env.NODE_ENV === 'production' ? '/data' : path.join(__dirname, 'data');
 const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
 const REPORTS_DIR = path.join(DATA_DIR, 'reports');
+const storage = createStorage({ dataDir: DATA_DIR });
 
-if (USE_R2) {
-  console.log('✓ Using Cloudflare R2 for storage');
-} else {
-  console.log('✓ Using local filesystem for storage');
-}
+console.log({
+  fs: '✓ Using local filesystem for storage',
+  r2: '✓ Using Cloudflare R2 for storage',
+  memory: '⚠️  Using in-memory storage - nothing will be persisted'
+}[storage.name]);
 
-// Password protection — use env vars in production
+// Bootstrap admin — created on first boot when no staff accounts exist yet
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
 const PASSWORD = process.env.APP_PASSWORD || 'PromoReport2026';
 
+// JSON documents (reports and metadata) by storage key, e.g. 'reports/abc123.json'
+async function readJson(key) {
+  const result = await storage.get(key);
+  return result ? JSON.parse(result.body.toString('utf-8')) : null;
+}
+
+// Same, plus the ETag to pass back as writeJson(..., { ifMatch }) for a conditional write
+async function readJsonWithEtag(key) {
+  const result = await storage.get(key);
+  return result ? { data: JSON.parse(result.body.toString('utf-8')), etag: result.etag } : null;
+}
+
+async function writeJson(key, data, options) {
+  return storage.put(key, JSON.stringify(data, null, 2), 'application/json', options);
+}
+
+// Library index - kept in storage (meta/report-index.json) and queried through in-memory SQLite
+const reportDb = createReportDb({ storage, readJson, writeJson });
+
+// Keep the index in step with a saved or deleted report. The report itself is
+// already stored, so a failure here is logged (fix with a reindex), not thrown.
+function indexReport(report) {
+  return reportDb.upsert(report).catch(err => console.error(`Failed to index report ${report.id}:`, err));
+}
+
+function unindexReport(id) {
+  return reportDb.remove(id).catch(err => console.error(`Failed to unindex report ${id}:`, err));
+}
+
+// External artwork/PR/playlist images are copied into uploads/ after a report is
+// saved, in the background, and the copy is written back as a new revision. A
+// failed download is logged and the report keeps the original URL. Saves based
+// on the revision before an import still go through (see onlyBackgroundChangesSince).
+const imageImporter = createImageImporter({ storage });
+const imageImports = new Map();
+
+// One import per report at a time - a save during an import queues another
+function importExternalImages(id) {
+  const next = (imageImports.get(id) || Promise.resolve())
+    .then(() => importReportImages(id))
+    .catch(err => console.error(`Failed to import images for report ${id}:`, err))
+    .finally(() => { if (imageImports.get(id) === next) imageImports.delete(id); });
+  imageImports.set(id, next);
+}
+
+async function importReportImages(id, attempt = 1) {
+  const key = `reports/${id}.json`;
+  const stored = await readJsonWithEtag(key);
+  if (!stored) return;
+  const { report, imported, failed } = await imageImporter.importReportImages(stored.data);
+  failed.forEach(f => console.warn(`Could not import image for report ${id}: ${f.url} (${f.error})`));
+  if (imported.length === 0) return;
+
+  const updated = { ...report, updatedAt: new Date().toISOString(), revision: (stored.data.revision || 1) + 1 };
+  try {
+    await writeJson(key, updated, { ifMatch: stored.etag });
+  } catch (error) {
+    // Saved again meanwhile - start over from that version (the importer remembers what it downloaded)
+    if (error.code !== 'PRECONDITION_FAILED' || attempt >= 3) throw error;
+    return importReportImages(id, attempt + 1);
+  }
+  await revisions.record(updated, { action: 'image_import', previous: stored.data });
+  await indexReport(updated);
+}
+
+// Every saved version of each report, for history and rollback
+const revisions = createRevisionStore({ readJson, writeJson });
+
+// Deleted reports wait in the trash for TRASH_RETENTION_DAYS before being purged
+const trash = createTrash({ storage, readJson, writeJson }, {
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30
+});
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Uploads no report, trashed report or revision points to are swept daily
+const uploadCollector = createUploadCollector({ storage, readJson, writeJson }, {
+  graceDays: parseInt(process.env.UPLOAD_GC_GRACE_DAYS, 10) || 7
+});
+const UPLOAD_GC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+async function sweepUploads(options) {
+  const result = await uploadCollector.sweep(options);
+  if (result.deleted.length > 0) {
+    console.log(`🧹 Deleted ${result.deleted.length} orphaned upload(s), ${result.freedBytes} bytes freed`);
+  }
+  return result;
+}
+
+async function purgeExpiredTrash() {
+  const purged = await trash.purgeExpired();
+  if (purged.length > 0) {
+    console.log(`🗑️  Purged ${purged.length} expired report(s) from the trash`);
+  }
+  return purged;
+}
+
+// Staff accounts
+const users = createUserStore({ readJson, writeJson });
+users.ensureAdmin(ADMIN_USERNAME, PASSWORD)
+  .then(admin => {
+    if (admin) console.log(`✓ Created initial admin account "${admin.username}" (password: APP_PASSWORD)`);
+  })
+  .catch(err => console.error('Failed to initialise user accounts:', err));
+
 // Google Sheets setup
 let sheetsClient = null;
 try {
@@ -44,7 +167,7 @@ try {
       credentials = JSON.parse(fs.readFileSync(process.env.GOOGLE_CREDENTIALS_PATH, 'utf-8'));
     }
   }
-  
+
   if (credentials) {
     const auth = new google.auth.GoogleAuth({
       credentials,
@@ -56,25 +179,97 @@ try {
 } catch (err) {
   console.warn('Google Sheets not configured:', err.message);
 }
-const SESSION_SECRET = crypto.randomBytes(32).toString('hex');
-const sessions = new Map();
 
-function createSession() {
-  const token = crypto.randomBytes(32).toString('hex');
-  sessions.set(token, { createdAt: Date.now() });
-  return token;
+// Login sessions persist in the same storage as reports (sliding expiry)
+const sessions = createSessionStore({ readJson, writeJson });
+
+// Public share links for report pages
+const shares = createShareStore({ readJson, writeJson });
+
+function shareUrl(share) {
+  return `/report/${share.reportId}?token=${encodeURIComponent(share.token)}`;
 }
 
-function isValidSession(token) {
-  if (!token) return false;
-  const session = sessions.get(token);
-  if (!session) return false;
-  // Sessions expire after 24 hours
-  if (Date.now() - session.createdAt > 24 * 60 * 60 * 1000) {
-    sessions.delete(token);
-    return false;
+// Optional client password on individual reports. Unlocking sets a cookie
+// signed with the report's password hash, so changing the password locks
+// out everyone who unlocked with the old one.
+const REPORT_UNLOCK_MS = 12 * 60 * 60 * 1000;
+
+function reportUnlockSignature(report, expires) {
+  return crypto.createHmac('sha256', report.clientPasswordHash).update(`${report.id}.${expires}`).digest('hex');
+}
+
+function hasReportUnlock(req, report) {
+  const value = parseCookies(req)[`report_${report.id}`];
+  if (!value) return false;
+  const [expires, signature] = value.split('.');
+  if (!signature || Date.now() > Number(expires)) return false;
+  const expected = Buffer.from(reportUnlockSignature(report, expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function setReportUnlockCookie(res, report) {
+  const expires = Date.now() + REPORT_UNLOCK_MS;
+  const securePart = process.env.NODE_ENV === 'production' ? ' Secure;' : '';
+  res.setHeader('Set-Cookie', `report_${report.id}=${expires}.${reportUnlockSignature(report, expires)}; Path=/api/reports/${report.id}; HttpOnly; SameSite=Lax;${securePart} Max-Age=${REPORT_UNLOCK_MS / 1000}`);
+}
+
+// Strip secrets before sending a report to the browser
+function publicReport(report) {
+  const { clientPasswordHash, ...rest } = report;
+  return { ...rest, passwordProtected: !!clientPasswordHash };
+}
+
+// Scoped API keys for internal tooling (Authorization: Bearer prk_...)
+const apiKeys = createApiKeyStore({ readJson, writeJson });
+
+// Stand-in user for requests made with an API key
+function apiKeyActor(apiKey) {
+  return { id: `apikey:${apiKey.id}`, username: `api:${apiKey.name}`, name: apiKey.name, role: null };
+}
+
+// Resolve a bearer API key that carries the given scope (null otherwise)
+async function getApiKey(req, scope) {
+  const apiKey = await apiKeys.authenticate(getBearerToken(req));
+  return apiKey && apiKey.scopes.includes(scope) ? apiKey : null;
+}
+
+// Audit trail - append-only, stored alongside reports
+const auditLog = createAuditLog({ readJson, writeJson });
+
+// Record an action by the current request's user. Failures are logged, never thrown.
+function audit(req, action, { actor, target = null, changes, details } = {}) {
+  const who = actor || req.user;
+  auditLog.record({
+    action,
+    actor: who ? { id: who.id, username: who.username } : null,
+    ip: req.ip,
+    target,
+    changes,
+    details
+  }).catch(err => console.error(`Failed to write audit entry (${action}):`, err));
+}
+
+// Resolve a session cookie to { session, user } (null if expired, revoked or disabled)
+async function getSessionUser(token) {
+  const session = await sessions.touch(token);
+  if (!session) return null;
+  const user = await users.findById(session.userId);
+  if (!user || user.disabled) {
+    await sessions.revoke(session.id);
+    return null;
   }
-  return true;
+  return { session, user };
+}
+
+function setSessionCookie(res, token) {
+  const securePart = process.env.NODE_ENV === 'production' ? ' Secure;' : '';
+  res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; SameSite=Strict;${securePart} Max-Age=${SESSION_MAX_AGE_MS / 1000}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', 'session=; Path=/; HttpOnly; Max-Age=0');
 }
 
 // Cookie parser middleware
@@ -90,11 +285,30 @@ function parseCookies(req) {
   return cookies;
 }
 
-// Auth middleware
-function requireAuth(req, res, next) {
+// Auth middleware - attaches the logged-in user as req.user and the session as req.session.
+// API key requests get req.apiKey instead of a session; requireRole decides what they may do.
+// Pages are for signed-in users only, so API keys are turned away from anything outside /api/.
+async function requireAuth(req, res, next) {
   const cookies = parseCookies(req);
-  if (isValidSession(cookies.session)) {
-    return next();
+  try {
+    if (getBearerToken(req)) {
+      if (!req.path.startsWith('/api/')) {
+        return res.status(403).json({ error: 'API keys can only be used with the API' });
+      }
+      const apiKey = await apiKeys.authenticate(getBearerToken(req));
+      if (!apiKey) return res.status(401).json({ error: 'Invalid API key' });
+      req.apiKey = apiKey;
+      req.user = apiKeyActor(apiKey);
+      return next();
+    }
+    const auth = await getSessionUser(cookies.session);
+    if (auth) {
+      req.user = auth.user;
+      req.session = auth.session;
+      return next();
+    }
+  } catch (error) {
+    return next(error);
   }
   // For API routes, return 401
   if (req.path.startsWith('/api/')) {
@@ -104,6 +318,22 @@ function requireAuth(req, res, next) {
   res.redirect('/login');
 }
 
+// Role middleware - use after requireAuth (viewer < editor < admin).
+// API keys are only let through when the route names a scope they hold.
+function requireRole(role, scope) {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (scope && req.apiKey.scopes.includes(scope)) return next();
+      return res.status(403).json({ error: 'API key lacks the required scope' });
+    }
+    if (hasRole(req.user, role)) return next();
+    if (req.path.startsWith('/api/')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.redirect('/');
+  };
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -127,10 +357,14 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use('/assets', express.static(path.join(__dirname, 'public', 'assets')));
 
 // Login routes (public)
-app.get('/login', (req, res) => {
+app.get('/login', async (req, res) => {
   const cookies = parseCookies(req);
-  if (isValidSession(cookies.session)) {
-    return res.redirect('/');
+  try {
+    if (await getSessionUser(cookies.session)) {
+      return res.redirect('/');
+    }
+  } catch (error) {
+    console.error('Session lookup error:', error);
   }
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
@@ -143,57 +377,74 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-app.post('/api/login', loginLimiter, (req, res) => {
-  const { password } = req.body;
-  if (password === PASSWORD) {
-    const token = createSession();
-    const securePart = process.env.NODE_ENV === 'production' ? ' Secure;' : '';
-    res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; SameSite=Strict;${securePart} Max-Age=${24 * 60 * 60}`);
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ error: 'Invalid password' });
+app.post('/api/login', loginLimiter, async (req, res) => {
+  const { username, password } = req.body;
+  try {
+    const user = await users.authenticate(username, password);
+    if (!user) {
+      audit(req, 'auth.login_failed', { details: { username: String(username || '').slice(0, 64) } });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const { token, session } = await sessions.create(user.id, { ip: req.ip, userAgent: req.headers['user-agent'] || '' });
+    setSessionCookie(res, token);
+    audit(req, 'auth.login', { actor: user, target: { type: 'session', id: session.id } });
+    res.json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
-app.post('/api/logout', (req, res) => {
+app.post('/api/logout', async (req, res) => {
   const cookies = parseCookies(req);
-  if (cookies.session) {
-    sessions.delete(cookies.session);
+  try {
+    await sessions.revokeByToken(cookies.session);
+  } catch (error) {
+    console.error('Logout error:', error);
   }
-  res.setHeader('Set-Cookie', 'session=; Path=/; HttpOnly; Max-Age=0');
+  clearSessionCookie(res);
   res.json({ success: true });
 });
 
 // Auth check endpoint (public) - lets frontend know if user is logged in
-app.get('/api/auth/check', (req, res) => {
+app.get('/api/auth/check', async (req, res) => {
   const cookies = parseCookies(req);
-  res.json({ authenticated: isValidSession(cookies.session) });
+  try {
+    const auth = await getSessionUser(cookies.session);
+    res.json({ authenticated: !!auth, user: auth ? publicUser(auth.user) : null });
+  } catch (error) {
+    res.json({ authenticated: false, user: null });
+  }
 });
 
-// Ensure local directories exist (used in dev mode and as fallback)
-if (!USE_R2) {
+// Ensure local directories exist
+if (storage.name === 'fs') {
   [UPLOADS_DIR, REPORTS_DIR].forEach(dir => {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   });
 }
 
-// PUBLIC routes - serve uploads from R2 or local filesystem
-if (USE_R2) {
-  app.get('/uploads/:filename', async (req, res) => {
-    try {
-      const result = await r2Get(`uploads/${req.params.filename}`);
-      if (!result) return res.status(404).send('Not found');
-      res.set('Content-Type', result.contentType);
-      res.set('Cache-Control', 'public, max-age=31536000, immutable');
-      res.send(result.body);
-    } catch (error) {
-      console.error('Upload proxy error:', error);
-      res.status(500).send('Error loading file');
-    }
-  });
-} else {
-  app.use('/uploads', express.static(UPLOADS_DIR));
-}
+// PUBLIC routes - serve uploads from storage (filenames are unique, so cache forever)
+app.get('/uploads/:filename', async (req, res) => {
+  try {
+    let result = await storage.stream(`uploads/${req.params.filename}`);
+    // Images only get variants narrower than themselves - a wider one is the full size
+    const source = sourceFilename(req.params.filename);
+    if (!result && source !== req.params.filename) result = await storage.stream(`uploads/${source}`);
+    if (!result) return res.status(404).send('Not found');
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Length', String(result.size));
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    result.stream.on('error', err => {
+      console.error('Upload stream error:', err);
+      res.destroy(err);
+    });
+    result.stream.pipe(res);
+  } catch (error) {
+    console.error('Upload proxy error:', error);
+    res.status(500).send('Error loading file');
+  }
+});
 
 // Public report viewing
 app.get('/report/:id', (req, res) => {
@@ -211,7 +462,19 @@ const DATABASE_CONFIG = {
     title: 'Playlist Contact Database'
   }
 };
-const DATABASE_PASSWORD = process.env.DATABASE_PASSWORD || 'PromoDB2026';
+// Shared password - deprecated in favour of per-recipient access links, and only
+// accepted when DATABASE_PASSWORD_ENABLED=true (loads with it aren't tied to a recipient)
+const DATABASE_PASSWORD = process.env.DATABASE_PASSWORD_ENABLED === 'true' ? process.env.DATABASE_PASSWORD || null : null;
+if (process.env.DATABASE_PASSWORD_ENABLED === 'true' && !DATABASE_PASSWORD) {
+  console.warn('⚠️  DATABASE_PASSWORD_ENABLED is set but DATABASE_PASSWORD is empty - the shared password stays off');
+}
+
+// Named, expiring access links for each database (/database/:type?token=...)
+const databaseLinks = createDatabaseLinkStore({ readJson, writeJson }, Object.keys(DATABASE_CONFIG));
+
+function databaseLinkUrl(link) {
+  return `/database/${link.type}?token=${encodeURIComponent(link.token)}`;
+}
 
 // Public database viewing (press or playlist)
 app.get('/database/:type', (req, res) => {
@@ -222,27 +485,50 @@ app.get('/database/:type', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'database-client.html'));
 });
 
-// Public API to get database data (with password)
-app.post('/api/database/:type', async (req, res) => {
+const databaseAccessLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 failed attempts per window
+  skipSuccessfulRequests: true,
+  message: { error: 'Too many attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Public API to get database data (with an access link token, or the shared password if enabled)
+app.post('/api/database/:type', databaseAccessLimiter, async (req, res) => {
   const { type } = req.params;
-  const { password } = req.body;
-  
-  // Verify password
-  if (password !== DATABASE_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid password' });
-  }
-  
+  const { token, password } = req.body;
+
   // Get config for this database type
   const config = DATABASE_CONFIG[type];
   if (!config) {
     return res.status(404).json({ error: 'Database not found' });
   }
-  
-  if (!sheetsClient) {
-    return res.status(503).json({ error: 'Database service unavailable' });
-  }
-  
+
   try {
+    // Every load is logged against the recipient it was issued to
+    let link = null;
+    if (token) {
+      link = await databaseLinks.use(type, token);
+      if (!link) {
+        return res.status(403).json({ error: 'This link is invalid or has expired' });
+      }
+      audit(req, 'database.access', {
+        target: { type: 'database-link', id: link.id },
+        details: { database: type, recipient: link.recipient }
+      });
+    } else if (!DATABASE_PASSWORD) {
+      return res.status(403).json({ error: 'Access is by personal link only - ask your Promo contact for one' });
+    } else if (password === DATABASE_PASSWORD) {
+      audit(req, 'database.access', { details: { database: type, recipient: 'shared password' } });
+    } else {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (!sheetsClient) {
+      return res.status(503).json({ error: 'Database service unavailable' });
+    }
+
     const metadata = await sheetsClient.spreadsheets.get({
       spreadsheetId: config.spreadsheetId,
       fields: 'sheets.properties.title'
@@ -288,168 +574,1108 @@ app.post('/api/database/:type', async (req, res) => {
   }
 });
 
-// Cron-triggered backup (token-authenticated, no session needed)
+// Cron routes authenticate with an API key holding the 'backup' scope.
+// BACKUP_CRON_TOKEN is still accepted so existing cron jobs keep working.
 const BACKUP_TOKEN = process.env.BACKUP_CRON_TOKEN || '';
-app.post('/api/cron/backup', async (req, res) => {
-  const token = req.headers['authorization']?.replace('Bearer ', '');
-  if (!BACKUP_TOKEN || token !== BACKUP_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
+if (BACKUP_TOKEN) {
+  console.warn('⚠️  BACKUP_CRON_TOKEN is deprecated - create an API key with the "backup" scope instead');
+}
+
+async function requireBackupKey(req, res, next) {
+  try {
+    const apiKey = await getApiKey(req, 'backup');
+    if (apiKey) {
+      req.apiKey = apiKey;
+      req.user = apiKeyActor(apiKey);
+      return next();
+    }
+  } catch (error) {
+    return next(error);
+  }
+  if (BACKUP_TOKEN && getBearerToken(req) === BACKUP_TOKEN) {
+    req.user = { id: 'cron', username: 'cron', name: 'Backup cron', role: null };
+    return next();
+  }
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Cron-triggered trash purge, for deployments that would rather not rely on the hourly timer
+app.post('/api/cron/purge-trash', requireBackupKey, async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash();
+    audit(req, 'trash.purge_expired', { details: { reports: purged.map(item => item.id) } });
+    res.json({ purged: purged.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cron-triggered upload sweep ({ dryRun } to only report)
+app.post('/api/cron/upload-gc', requireBackupKey, async (req, res) => {
+  try {
+    const result = await sweepUploads({ dryRun: !!req.body?.dryRun });
+    audit(req, 'upload.gc', { details: { dryRun: result.dryRun, orphans: result.orphans.length, deleted: result.deleted.length, freedBytes: result.freedBytes } });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Cron-triggered backup (API key, no session needed)
+app.post('/api/cron/backup', requireBackupKey, async (req, res) => {
   try {
     const { runBackup } = await import('./backup.js');
-    const result = await runBackup();
+    const result = await runBackup({ storage });
+    audit(req, 'backup', { details: result });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Restore from backup (token-authenticated)
+// Restore from a backup archive (API key). Fields (form or query):
+//   dryRun=true  - only report the reports/uploads that would be added, changed or removed
+//   report=<id>  - restore just this report (and any of its images that are missing)
+//   upload=<filename> - restore just this upload and its resized variants
+// Anything that changes data is preceded by a snapshot of the current data - a
+// backup, or an archive under pre-restore/ in storage when no bucket is set up.
 const restoreUpload = multer({ dest: '/tmp/restore', limits: { fileSize: 200 * 1024 * 1024 } });
-app.post('/api/cron/restore', restoreUpload.single('backup'), async (req, res) => {
-  const token = req.headers['authorization']?.replace('Bearer ', '');
-  if (!BACKUP_TOKEN || token !== BACKUP_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
+const restorer = createRestorer({
+  storage,
+  trash,
+  revisions,
+  snapshot: async () => {
+    const { runBackup, isConfigured, saveLocalSnapshot } = await import('./backup.js');
+    if (!isConfigured()) return saveLocalSnapshot(storage);
+    return (await runBackup({ storage })).snapshot;
   }
+});
+
+// dryRun/report/upload options from a request, or an { error } to send back
+function restoreOptions(options) {
+  const reportId = options.report || undefined;
+  const upload = options.upload || undefined;
+  if (reportId && !isValidReportId(reportId)) return { error: 'Invalid report ID' };
+  if (upload && !isSafeUploadName(upload)) return { error: 'Invalid upload filename' };
+  return { dryRun: options.dryRun === true || options.dryRun === 'true', reportId, upload };
+}
+
+// After a restore has changed data: reindex the library and audit it
+async function finishRestore(req, result, details) {
+  if (result.dryRun || !result.restored) return;
+  await reportDb.rebuild();
+  console.log(`✅ Restored ${result.restored.length} reports and ${result.uploads.added.length + result.uploads.changed.length} uploads`);
+  audit(req, 'restore', {
+    details: {
+      ...details,
+      snapshot: result.snapshot,
+      reports: { added: result.reports.added.length, changed: result.reports.changed.length, removed: result.trashed.length },
+      uploads: { added: result.uploads.added.length, changed: result.uploads.changed.length }
+    }
+  });
+}
+
+function restoreErrorStatus(error) {
+  if (['INVALID_ARCHIVE', 'MISSING_KEY', 'DECRYPT_FAILED'].includes(error.code)) return 400;
+  if (error.code === 'NOT_IN_BACKUP') return 404;
+  return 500;
+}
+
+app.post('/api/cron/restore', requireBackupKey, restoreUpload.single('backup'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'No backup file uploaded' });
-  
+
+  try {
+    const { error, dryRun, reportId, upload } = restoreOptions({ ...req.query, ...req.body });
+    if (error) return res.status(400).json({ error });
+    
+    const result = await restorer.restore(req.file.path, { dryRun, reportId, upload, actor: req.user });
+    await finishRestore(req, result, { archive: req.file.originalname, report: reportId, upload });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = restoreErrorStatus(error);
+    if (status === 500) console.error('Restore failed:', error);
+    res.status(status).json({ error: error.message });
+  } finally {
+    fs.rmSync(req.file.path, { force: true });
+  }
+});
+
+// Validate report IDs to prevent path traversal
+function isValidReportId(id) {
+  return /^[a-f0-9\-]+$/.test(id);
+}
+
+// Validate URLs for scrape endpoints to prevent SSRF
+const ALLOWED_SCRAPE_DOMAINS = [
+  'ditto.fm', 'ffm.to', 'feature.fm', 'open.spotify.com',
+  'distrokid.com', 'linktr.ee', 'linkin.bio',
+  // Common press/blog domains - add more as needed
+  'youtube.com', 'music.apple.com',
+];
+
+function isAllowedScrapeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+    const hostname = parsed.hostname.replace(/^www\./, '');
+    // Block private/internal IPs
+    if (/^(127\.|10\.|172\.(1[6-9]|2\d|3[01])\.|192\.168\.|0\.|localhost|\[::1\])/.test(hostname)) return false;
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Widths of uploaded images, so report pages can build a srcset from the
+// variants an image actually has. Uploads never change, so widths are cached.
+const UPLOADED_IMAGE = /^\/uploads\/([0-9a-f-]{36}\.webp)$/;
+const IMAGE_WIDTH_CACHE_SIZE = 2000;
+const imageWidthCache = new Map();
+
+async function uploadedImageWidth(filename) {
+  if (imageWidthCache.has(filename)) return imageWidthCache.get(filename);
+  const width = await readImageWidth(storage, filename);
+  if (width) {
+    imageWidthCache.set(filename, width);
+    if (imageWidthCache.size > IMAGE_WIDTH_CACHE_SIZE) imageWidthCache.delete(imageWidthCache.keys().next().value);
+  }
+  return width;
+}
+
+// { imageVariantWidths, imageWidths: { '/uploads/<id>.webp': width } } for a report's uploaded images
+async function describeReportImages(report) {
+  const imageWidths = {};
+  for (const { obj, key } of imageSlots(report)) {
+    const match = UPLOADED_IMAGE.exec(obj[key]);
+    if (!match || imageWidths[obj[key]]) continue;
+    const width = await uploadedImageWidth(match[1]);
+    if (width) imageWidths[obj[key]] = width;
+  }
+  return { imageVariantWidths: VARIANT_WIDTHS, imageWidths };
+}
+
+// Public API to get a single report - staff sessions or a valid share token
+app.get('/api/reports/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+
   try {
-    const { execSync } = await import('child_process');
-    // Extract to data dir, overwriting existing files
-    execSync(`tar -xzf "${req.file.path}" -C "${DATA_DIR}"`, { stdio: 'pipe' });
-    fs.unlinkSync(req.file.path);
+    const cookies = parseCookies(req);
+    const isStaff = !!(await getSessionUser(cookies.session)) || !!(await getApiKey(req, 'read'));
+    if (!isStaff && !(await shares.verify(id, req.query.token))) {
+      return res.status(403).json({ error: 'This link is invalid or has expired' });
+    }
     
-    // Count restored files
-    const reportCount = fs.existsSync(REPORTS_DIR) ? fs.readdirSync(REPORTS_DIR).filter(f => f.endsWith('.json')).length : 0;
-    const uploadCount = fs.existsSync(UPLOADS_DIR) ? fs.readdirSync(UPLOADS_DIR).length : 0;
+    const data = await readJson(`reports/${id}.json`);
+    if (!data) return res.status(404).json({ error: 'Report not found' });
+    
+    if (!isStaff && data.clientPasswordHash && !hasReportUnlock(req, data)) {
+      return res.status(401).json({ error: 'Password required', passwordRequired: true });
+    }
+    res.json({ ...publicReport(data), ...(await describeReportImages(data)) });
+  } catch (error) {
+    console.error('Error reading report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlock a password-protected report (requires a valid share link)
+const reportPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 failed attempts per window
+  skipSuccessfulRequests: true,
+  message: { error: 'Too many password attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.post('/api/reports/:id/unlock', reportPasswordLimiter, async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  const { password, token } = req.body;
+
+  try {
+    if (!(await shares.verify(id, token))) {
+      return res.status(403).json({ error: 'This link is invalid or has expired' });
+    }
+    const report = await readJson(`reports/${id}.json`);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    if (!report.clientPasswordHash) return res.json({ success: true });
     
-    console.log(`✅ Restored ${reportCount} reports and ${uploadCount} uploads`);
-    res.json({ success: true, reports: reportCount, uploads: uploadCount });
+    if (!verifyPassword(password, report.clientPasswordHash)) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    setReportUnlockCookie(res, report);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Report unlock error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Protected routes (everything below requires login)
+app.use(requireAuth);
+
+// Static files (protected). Pages are only served through their routes below,
+// which check the role - /users.html would otherwise skip requireRole('admin').
+const staticFiles = express.static(path.join(__dirname, 'public'), { index: false });
+app.use((req, res, next) => {
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path); // as express.static will, so /users%2Ehtml is caught too
+  } catch (error) {
+    return next();
+  }
+  if (/\.html$/i.test(filePath)) return next();
+  staticFiles(req, res, next);
+});
+
+// File upload config (buffered, then written through the storage backend)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.get('/create', requireRole('editor'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'create.html'));
+});
+
+app.get('/library', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'library.html'));
+});
+
+app.get('/users', requireRole('admin'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'users.html'));
+});
+
+app.get('/backups', requireRole('admin'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'backups.html'));
+});
+
+// User management (admin only)
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await users.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { username, name, role, password } = req.body;
+  try {
+    const user = await users.create({ username, name, role, password });
+    audit(req, 'user.create', { target: { type: 'user', id: user.id }, details: { username: user.username, role: user.role } });
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+  const { name, role, disabled } = req.body;
+  try {
+    const before = await users.findById(req.params.id);
+    const user = await users.update(req.params.id, { name, role, disabled });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    audit(req, 'user.update', {
+      target: { type: 'user', id: user.id },
+      changes: diffFields(
+        { name: before.name, role: before.role, disabled: before.disabled },
+        { name: user.name, role: user.role, disabled: user.disabled }
+      )
+    });
+    if (user.disabled) await sessions.revokeForUser(user.id);
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/users/:id/reset-password', requireRole('admin'), async (req, res) => {
+  const { password } = req.body;
+  try {
+    const user = await users.setPassword(req.params.id, password);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await sessions.revokeForUser(user.id);
+    audit(req, 'user.reset_password', { target: { type: 'user', id: user.id } });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Audit trail (admin only) - filter by ?action=&actor=&target=&from=&to=&limit=
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  const { action, actor, target, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+  try {
+    res.json(await auditLog.query({ action, actor, targetId: target, from, to, limit }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API key management (admin only)
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ scopes: API_KEY_SCOPES, keys: await apiKeys.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/keys', requireRole('admin'), async (req, res) => {
+  const { name, scopes } = req.body;
+  try {
+    const { key, apiKey } = await apiKeys.create({ name, scopes, createdBy: req.user.username });
+    audit(req, 'apikey.create', { target: { type: 'apikey', id: apiKey.id }, details: { name: apiKey.name, scopes: apiKey.scopes } });
+    res.json({ key, apiKey });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revoke(req.params.id);
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    audit(req, 'apikey.revoke', { target: { type: 'apikey', id: apiKey.id }, details: { name: apiKey.name } });
+    res.json(apiKey);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/databases', requireRole('editor'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'databases.html'));
+});
+
+// Database access links (staff) - one per recipient, individually revocable
+app.get('/api/database-links', requireRole('editor'), async (req, res) => {
+  try {
+    const links = await databaseLinks.list({ type: req.query.type });
+    res.json(links.map(link => ({ ...link, url: databaseLinkUrl(link) })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/database-links', requireRole('editor'), async (req, res) => {
+  const { type, recipient, expiresAt } = req.body;
+  try {
+    const link = await databaseLinks.issue({ type, recipient, expiresAt, createdBy: req.user.username });
+    audit(req, 'database.link_create', {
+      target: { type: 'database-link', id: link.id },
+      details: { database: link.type, recipient: link.recipient, expiresAt: link.expiresAt }
+    });
+    res.json({ ...link, url: databaseLinkUrl(link) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/database-links/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const link = await databaseLinks.revoke(req.params.id);
+    if (!link) return res.status(404).json({ error: 'Link not found' });
+    audit(req, 'database.link_revoke', {
+      target: { type: 'database-link', id: link.id },
+      details: { database: link.type, recipient: link.recipient }
+    });
+    res.json({ ...link, url: databaseLinkUrl(link) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load history for one link (from the audit trail)
+app.get('/api/database-links/:id/access', requireRole('editor'), async (req, res) => {
+  try {
+    const link = await databaseLinks.findById(req.params.id);
+    if (!link) return res.status(404).json({ error: 'Link not found' });
+    res.json(await auditLog.query({
+      action: 'database.access',
+      targetId: link.id,
+      from: link.createdAt,
+      limit: 100
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/sessions', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'sessions.html'));
+});
+
+// Active sessions - staff see their own, admins can pass ?all=1 to see everyone's
+app.get('/api/sessions', requireRole('viewer'), async (req, res) => {
+  const showAll = req.query.all === '1' && hasRole(req.user, 'admin');
+  try {
+    const list = await sessions.list(showAll ? {} : { userId: req.user.id });
+    const usernames = new Map((await users.list()).map(u => [u.id, u.username]));
+    res.json(list
+      .map(s => ({ ...s, username: usernames.get(s.userId) || '', current: s.id === req.session.id }))
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a single session (your own, or anyone's for admins)
+app.delete('/api/sessions/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const session = await sessions.findById(req.params.id);
+    if (!session || (session.userId !== req.user.id && !hasRole(req.user, 'admin'))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await sessions.revoke(session.id);
+    if (session.id === req.session.id) clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log out everywhere - revokes all of the current user's sessions, including this one
+app.post('/api/sessions/revoke-all', requireRole('viewer'), async (req, res) => {
+  try {
+    const revoked = await sessions.revokeForUser(req.user.id);
+    clearSessionCookie(res);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sweep orphaned uploads on demand (admin; { dryRun: true } lists them without deleting)
+app.post('/api/uploads/gc', requireRole('admin', 'delete'), async (req, res) => {
+  try {
+    const result = await sweepUploads({ dryRun: !!req.body?.dryRun });
+    audit(req, 'upload.gc', { details: { dryRun: result.dryRun, orphans: result.orphans.length, deleted: result.deleted.length, freedBytes: result.freedBytes } });
+    res.json(result);
+  } catch (error) {
+    console.error('Upload sweep failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload image endpoint - stored as WebP with resized variants (see images.js)
+app.post('/api/upload', requireRole('editor', 'write'), upload.single('image'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+  try {
+    const image = await processImage(req.file.buffer);
+    const { filename, ...saved } = await saveImage(storage, image);
+    audit(req, 'upload', {
+      target: { type: 'upload', id: filename },
+      details: { originalName: req.file.originalname, type: image.type, size: req.file.size, storedSize: image.body.length }
+    });
+    res.json(saved);
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') return res.status(400).json({ error: error.message });
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// Scrapers share one long-lived Chromium, a few pages at a time (see browser-pool.js)
+const browserPool = createBrowserPool({}, {
+  concurrency: parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 2,
+  jobTimeoutMs: (parseInt(process.env.SCRAPE_TIMEOUT_SECONDS, 10) || 90) * 1000
+});
+
+function scrapeErrorStatus(error) {
+  if (error.code === 'POOL_BUSY') return 503;
+  if (error.code === 'SCRAPE_TIMEOUT') return 504;
+  return 500;
+}
+
+// Scraper browser status: running/queued jobs, relaunches, last error
+app.get('/api/scrape/status', requireRole('admin'), (req, res) => {
+  res.json(browserPool.stats());
+});
+
+// Scrape smart link for artwork
+app.post('/api/scrape-smartlink', requireRole('editor', 'write'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: 'URL required' });
+  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
+
+  console.log(`Scraping smart link: ${url}`);
+
+  try {
+    const data = await scrapeSmartLink(url);
+    console.log('Scraped smart link:', data);
+    res.json(data);
+  } catch (error) {
+    console.error('Smart link scrape error:', error);
+    res.status(scrapeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Scrape PR article data
+app.post('/api/scrape-article', requireRole('editor', 'write'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: 'URL required' });
+  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
+
+  console.log(`Scraping article: ${url}`);
+
+  try {
+    const data = await scrapeArticle(url);
+    res.json(data);
+  } catch (error) {
+    console.error('Article scrape error:', error);
+    res.status(scrapeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Scrape Spotify playlist data
+app.post('/api/scrape-spotify-playlist', requireRole('editor', 'write'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: 'URL required' });
+  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
+
+  // Extract playlist ID from URL
+  const playlistMatch = url.match(/playlist\/([a-zA-Z0-9]+)/);
+  if (!playlistMatch) return res.status(400).json({ error: 'Invalid Spotify playlist URL' });
+
+  const playlistId = playlistMatch[1];
+  console.log(`Scraping Spotify playlist: ${playlistId}`);
+
+  try {
+    const data = await scrapeSpotifyPlaylist(url, playlistId);
+    res.json(data);
+  } catch (error) {
+    console.error('Spotify scrape error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scrape Feature.fm analytics
+app.post('/api/scrape-ffm', requireRole('editor', 'write'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: 'URL required' });
+  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
+
+  console.log(`Scraping: ${url}`);
+
+  try {
+    const data = await scrapeFeatureFm(url);
+    res.json(data);
+  } catch (error) {
+    console.error('Scrape error:', error);
+    res.status(scrapeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Create report
+app.post('/api/reports', requireRole('editor', 'write'), async (req, res) => {
+  const reportId = uuidv4().slice(0, 8);
+  const {
+    artistName, releaseTitle, dateRange, heroArtwork, heroArtworkBlurred, smartLink,
+    sectionVisibility, analytics, prPlacements, playlists,
+    totalPlaylists, spotifyAudience, feedbackForms
+  } = req.body;
+
+  try {
+    const reportData = {
+      id: reportId,
+      createdAt: new Date().toISOString(),
+      artistName, releaseTitle, dateRange, heroArtwork, heroArtworkBlurred, smartLink,
+      sectionVisibility, analytics, prPlacements, playlists,
+      totalPlaylists, spotifyAudience, feedbackForms,
+      revision: 1
+    };
+    await writeJson(`reports/${reportId}.json`, reportData);
+    await revisions.record(reportData, { actor: req.user, action: 'create' });
+    await indexReport(reportData);
+    importExternalImages(reportId);
+    audit(req, 'report.create', { target: { type: 'report', id: reportId }, details: { artistName, releaseTitle } });
+    res.json({ id: reportId, url: `/report/${reportId}` });
+  } catch (error) {
+    console.error('Error saving report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List all reports with optional search
+// List reports, newest first. Optional query parameters:
+//   q, artist, outlet, playlist - case-insensitive "contains" filters
+//   from, to                    - created date range (ISO dates)
+//   protected                   - true/false: has a client password
+//   sort, order                 - created|updated|artist|title|visits, asc|desc
+//   limit, offset               - paging; the total match count is in X-Total-Count
+app.get('/api/reports', requireRole('viewer', 'read'), async (req, res) => {
+  const { q, artist, outlet, playlist, from, to, sort, order, limit, offset } = req.query;
+  const query = { q, artist, outlet, playlist, from, to, sort, order, limit, offset };
+  if (req.query.protected === 'true' || req.query.protected === 'false') {
+    query.passwordProtected = req.query.protected === 'true';
+  }
+
+  let result;
+  try {
+    result = await reportDb.list(query);
+  } catch (error) {
+    if (error.message.startsWith('Unknown sort')) return res.status(400).json({ error: error.message });
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    // Annotate with share link status
+    const shareMap = await shares.byReport();
+    const reportsList = result.reports.map(r => {
+      const share = shareMap.get(r.id);
+      return { ...r, shared: !!share && !share.expired, shareExpiresAt: share?.expiresAt || null };
+    });
+    
+    res.set('X-Total-Count', String(result.total));
+    res.json(reportsList);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rebuild the library index from the report documents (admin)
+app.post('/api/reports/reindex', requireRole('admin', 'write'), async (req, res) => {
+  try {
+    const result = await reportDb.rebuild();
+    audit(req, 'report.reindex', { details: result });
+    res.json(result);
+  } catch (error) {
+    console.error('Reindex failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 409 body for a save based on an out-of-date copy of a report: the current
+ * report, what others changed since `baseRevision` (`theirs`), what this save
+ * changes (`mine`), and the fields both touched with different results.
+ * Without the base revision every field this save changes counts as a conflict.
+ */
+async function describeConflict(current, baseRevision, changes) {
+  const base = baseRevision ? await revisions.get(current.id, baseRevision) : null;
+  const mine = base ? diffReports(base, { ...base, ...changes }) : diffReports(current, { ...current, ...changes });
+  const theirs = base ? diffReports(base, current) : null;
+  const theirAfter = new Map((theirs || []).map(c => [c.field, JSON.stringify(c.after)]));
+  const conflicts = mine
+    .filter(c => !theirs || (theirAfter.has(c.field) && theirAfter.get(c.field) !== JSON.stringify(c.after)))
+    .map(c => c.field);
+  return {
+    error: 'This report was changed by someone else since you opened it',
+    conflict: {
+      baseRevision: base ? baseRevision : null,
+      current: publicReport(current),
+      theirs,
+      mine,
+      conflicts
+    }
+  };
+}
+
+// Revisions that don't touch what an editor edits: background image imports and
+// client password changes (the hash isn't part of the report content)
+const BACKGROUND_ACTIONS = new Set(['image_import', 'password_set', 'password_cleared']);
+
+// Whether every revision after baseRevision is one of those, which isn't
+// anyone else's edit - a save based on baseRevision can go ahead
+async function onlyBackgroundChangesSince(id, baseRevision, currentRevision) {
+  if (!(baseRevision < currentRevision)) return false;
+  const since = (await revisions.list(id)).filter(r => r.revision > baseRevision);
+  return since.length === currentRevision - baseRevision && since.every(r => BACKGROUND_ACTIONS.has(r.action));
+}
+
+// Update report. Send the `revision` (or, for reports saved before revisions
+// existed, the `updatedAt`, null if it has none) you loaded: if the report has
+// moved on since, the save is rejected with 409 and a description of the
+// conflict. A save without either is rejected with 428 unless it sends
+// `force: true` to overwrite whatever is there.
+app.put('/api/reports/:id', requireRole('editor', 'write'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+
+  const { clientPasswordHash, passwordProtected, revision, updatedAt, force, ...changes } = req.body;
+  const hasBase = revision != null || 'updatedAt' in req.body;
+  if (!hasBase && force !== true) {
+    return res.status(428).json({ error: 'Send the revision you are editing, or force: true to overwrite the report' });
+  }
+
+  try {
+    const stored = await readJsonWithEtag(`reports/${id}.json`);
+    if (!stored) return res.status(404).json({ error: 'Report not found' });
+    const existingData = stored.data;
+    
+    const currentRevision = existingData.revision || 1;
+    const baseRevision = revision != null ? parseInt(revision, 10) : null;
+    const stale = hasBase && (baseRevision != null
+      ? baseRevision !== currentRevision && !(await onlyBackgroundChangesSince(id, baseRevision, currentRevision))
+      : (updatedAt ?? null) !== (existingData.updatedAt ?? null));
+    if (stale) {
+      return res.status(409).json(await describeConflict(existingData, baseRevision, changes));
+    }
+    
+    const updatedData = useImportedImages({
+      ...existingData,
+      ...changes,
+      id,
+      createdAt: existingData.createdAt,
+      updatedAt: new Date().toISOString(),
+      revision: currentRevision + 1
+    });
+    
+    try {
+      await writeJson(`reports/${id}.json`, updatedData, { ifMatch: stored.etag });
+    } catch (error) {
+      if (error.code !== 'PRECONDITION_FAILED') throw error;
+      // Someone saved between our read and write
+      const latest = await readJson(`reports/${id}.json`);
+      if (!latest) return res.status(404).json({ error: 'This report was deleted while you were editing it' });
+      return res.status(409).json(await describeConflict(latest, currentRevision, changes));
+    }
+    await revisions.record(updatedData, { actor: req.user, action: 'update', previous: existingData });
+    await indexReport(updatedData);
+    importExternalImages(id);
+    audit(req, 'report.update', {
+      target: { type: 'report', id },
+      changes: diffReports(existingData, updatedData),
+      details: hasBase ? undefined : { forced: true }
+    });
+    res.json({ id, revision: updatedData.revision, url: `/report/${id}` });
+  } catch (error) {
+    console.error('Error updating report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revision history - newest first
+app.get('/api/reports/:id/revisions', requireRole('viewer', 'read'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  try {
+    const current = await readJson(`reports/${id}.json`);
+    const log = await revisions.list(id);
+    if (!current && log.length === 0) return res.status(404).json({ error: 'Report not found' });
+    res.json({ current: current?.revision || (current ? 1 : null), revisions: log.reverse() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Field-level diff between two revisions (?from=&to=)
+app.get('/api/reports/:id/revisions/diff', requireRole('viewer', 'read'), async (req, res) => {
+  const { id } = req.params;
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  if (!(from > 0) || !(to > 0)) return res.status(400).json({ error: 'from and to must be revision numbers' });
+  try {
+    const changes = await revisions.diff(id, from, to);
+    if (!changes) return res.status(404).json({ error: 'Revision not found' });
+    res.json({ from, to, changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/reports/:id/revisions/:revision', requireRole('viewer', 'read'), async (req, res) => {
+  const { id } = req.params;
+  const revision = parseInt(req.params.revision, 10);
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  if (!(revision > 0)) return res.status(400).json({ error: 'Invalid revision' });
+  try {
+    const report = await revisions.get(id, revision);
+    if (!report) return res.status(404).json({ error: 'Revision not found' });
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roll a report back to an earlier revision (saved as a new revision)
+app.post('/api/reports/:id/revisions/:revision/restore', requireRole('editor', 'write'), async (req, res) => {
+  const { id } = req.params;
+  const revision = parseInt(req.params.revision, 10);
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  if (!(revision > 0)) return res.status(400).json({ error: 'Invalid revision' });
+
+  try {
+    const stored = await readJsonWithEtag(`reports/${id}.json`);
+    if (!stored) return res.status(404).json({ error: 'Report not found' });
+    const existingData = stored.data;
+    const snapshot = await revisions.get(id, revision);
+    if (!snapshot) return res.status(404).json({ error: 'Revision not found' });
+    
+    const restoredData = {
+      ...snapshot,
+      id,
+      createdAt: existingData.createdAt,
+      updatedAt: new Date().toISOString(),
+      revision: (existingData.revision || 1) + 1
+    };
+    if (existingData.clientPasswordHash) restoredData.clientPasswordHash = existingData.clientPasswordHash;
+    
+    try {
+      await writeJson(`reports/${id}.json`, restoredData, { ifMatch: stored.etag });
+    } catch (error) {
+      if (error.code !== 'PRECONDITION_FAILED') throw error;
+      return res.status(409).json({ error: 'This report was changed while restoring - reload and try again' });
+    }
+    await revisions.record(restoredData, { actor: req.user, action: 'restore', previous: existingData, restoredFrom: revision });
+    await indexReport(restoredData);
+    audit(req, 'report.restore_revision', {
+      target: { type: 'report', id },
+      changes: diffReports(existingData, restoredData),
+      details: { restoredFrom: revision, revision: restoredData.revision }
+    });
+    res.json({ id, revision: restoredData.revision, url: `/report/${id}` });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manual backup trigger (admin only)
+app.post('/api/backup', requireRole('admin', 'backup'), async (req, res) => {
+  try {
+    const { runBackup } = await import('./backup.js');
+    const result = await runBackup({ storage });
+    audit(req, 'backup', { details: result });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Backups in the bucket, newest first, with their size and when they were taken
+app.get('/api/backups', requireRole('admin', 'backup'), async (req, res) => {
+  try {
+    const { listBackups, assertConfigured } = await import('./backup.js');
+    try {
+      assertConfigured();
+    } catch (error) {
+      return res.json({ configured: false, error: error.message, backups: [] });
+    }
+    const backups = await listBackups({ details: true });
+    res.json({ configured: true, backups: backups.reverse().map(({ key, ...backup }) => backup) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a backup straight from the bucket. Runs as a job - poll
+// GET /api/backups/jobs/:id for progress. Body: { dryRun, report, upload }
+// as for /api/cron/restore.
+const backupJobs = createJobTracker();
+
+app.post('/api/backups/:id/restore', requireRole('admin', 'backup'), async (req, res) => {
+  const { id } = req.params;
+  if (!/^[0-9A-Za-z-]+$/.test(id)) return res.status(400).json({ error: 'Invalid backup ID' });
+  const { error, dryRun, reportId, upload } = restoreOptions(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  const { listBackups, exportSnapshot } = await import('./backup.js');
+  try {
+    if (!(await listBackups()).some(b => b.id === id)) return res.status(404).json({ error: 'Backup not found' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (backupJobs.running('restore')) return res.status(409).json({ error: 'A restore is already running', job: backupJobs.running('restore') });
+
+  const job = backupJobs.start('restore', { backup: id, dryRun, report: reportId, upload, startedBy: req.user.username }, async progress => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bucket-restore-'));
+    try {
+      const archivePath = path.join(dir, 'backup.tar.gz');
+      await exportSnapshot(id, archivePath, {
+        plaintext: true,
+        onProgress: ({ done, total }) => progress({ phase: 'downloading', done, total })
+      });
+      const result = await restorer.restore(archivePath, { dryRun, reportId, upload, actor: req.user, onProgress: progress });
+      await finishRestore(req, result, { backup: id, report: reportId, upload });
+      return result;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  res.status(202).json(job);
+});
+
+app.get('/api/backups/jobs', requireRole('admin', 'backup'), (req, res) => {
+  res.json(backupJobs.list());
+});
+
+app.get('/api/backups/jobs/:id', requireRole('admin', 'backup'), (req, res) => {
+  const job = backupJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+// Delete report (moves it to the trash)
+app.delete('/api/reports/:id', requireRole('editor', 'delete'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+
+  try {
+    const existingData = await readJson(`reports/${id}.json`);
+    if (!existingData) return res.status(404).json({ error: 'Report not found' });
+    const item = await trash.add(existingData, { deletedBy: req.user.username });
+    await unindexReport(id);
+    await shares.revoke(id);
+    audit(req, 'report.delete', {
+      target: { type: 'report', id },
+      details: { artistName: existingData.artistName, releaseTitle: existingData.releaseTitle, expiresAt: item.expiresAt }
+    });
+    res.json({ success: true, expiresAt: item.expiresAt });
   } catch (error) {
-    console.error('Restore failed:', error);
+    console.error('Error deleting report:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Validate report IDs to prevent path traversal
-function isValidReportId(id) {
-  return /^[a-f0-9\-]+$/.test(id);
-}
-
-// Validate URLs for scrape endpoints to prevent SSRF
-const ALLOWED_SCRAPE_DOMAINS = [
-  'ditto.fm', 'ffm.to', 'feature.fm', 'open.spotify.com',
-  'distrokid.com', 'linktr.ee', 'linkin.bio',
-  // Common press/blog domains - add more as needed
-  'youtube.com', 'music.apple.com',
-];
-
-function isAllowedScrapeUrl(url) {
+// Trash - deleted reports awaiting purge, newest first
+app.get('/api/trash', requireRole('editor', 'write'), async (req, res) => {
   try {
-    const parsed = new URL(url);
-    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
-    const hostname = parsed.hostname.replace(/^www\./, '');
-    // Block private/internal IPs
-    if (/^(127\.|10\.|172\.(1[6-9]|2\d|3[01])\.|192\.168\.|0\.|localhost|\[::1\])/.test(hostname)) return false;
-    return true;
-  } catch {
-    return false;
+    res.json({ retentionDays: trash.retentionDays, items: await trash.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Public API to get a single report (for viewing)
-app.get('/api/reports/:id', async (req, res) => {
+app.post('/api/trash/:id/restore', requireRole('editor', 'write'), async (req, res) => {
   const { id } = req.params;
   if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
-  
+
   try {
-    if (USE_R2) {
-      const result = await r2Get(`reports/${id}.json`);
-      if (!result) return res.status(404).json({ error: 'Report not found' });
-      return res.json(JSON.parse(result.body.toString('utf-8')));
-    } else {
-      const reportPath = path.join(REPORTS_DIR, `${id}.json`);
-      if (fs.existsSync(reportPath)) {
-        return res.json(JSON.parse(fs.readFileSync(reportPath, 'utf-8')));
-      }
-      res.status(404).json({ error: 'Report not found' });
+    if (await storage.head(`reports/${id}.json`)) {
+      return res.status(409).json({ error: 'A report with this ID already exists' });
     }
+    const report = await trash.restore(id);
+    if (!report) return res.status(404).json({ error: 'Report not found in trash' });
+    await indexReport(report);
+    audit(req, 'report.untrash', {
+      target: { type: 'report', id },
+      details: { artistName: report.artistName, releaseTitle: report.releaseTitle }
+    });
+    res.json({ id, url: `/report/${id}` });
   } catch (error) {
-    console.error('Error reading report:', error);
+    console.error('Error restoring report from trash:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Protected routes (everything below requires login)
-app.use(requireAuth);
+// Permanently delete a trashed report and its history (admin only)
+app.delete('/api/trash/:id', requireRole('admin', 'delete'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
 
-// Static files (protected)
-app.use(express.static(path.join(__dirname, 'public')));
-
-// File upload config
-const upload = USE_R2
-  ? multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } })
-  : multer({
-      storage: multer.diskStorage({
-        destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-        filename: (req, file, cb) => cb(null, `${uuidv4()}-${file.originalname}`)
-      }),
-      limits: { fileSize: 10 * 1024 * 1024 }
+  try {
+    const item = await trash.purge(id);
+    if (!item) return res.status(404).json({ error: 'Report not found in trash' });
+    audit(req, 'report.purge', {
+      target: { type: 'report', id },
+      details: { artistName: item.artistName, releaseTitle: item.releaseTitle }
     });
-
-// Store reports in memory (in production, use a database)
-const reports = new Map();
-
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error purging report:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get('/create', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'create.html'));
+// Share link for a report
+app.get('/api/reports/:id/share', requireRole('viewer', 'read'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  try {
+    const share = await shares.get(id);
+    if (!share) return res.json({ share: null });
+    res.json({ share: { ...share, url: shareUrl(share) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get('/library', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'library.html'));
+// Create or regenerate a share link (replaces any existing token)
+app.post('/api/reports/:id/share', requireRole('editor', 'write'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  const { expiresAt } = req.body;
+
+  try {
+    if (!(await storage.head(`reports/${id}.json`))) return res.status(404).json({ error: 'Report not found' });
+    
+    const share = await shares.issue(id, { expiresAt, createdBy: req.user.username });
+    audit(req, 'report.share', { target: { type: 'report', id }, details: { expiresAt: share.expiresAt } });
+    res.json({ share: { ...share, url: shareUrl(share) } });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
-// Upload image endpoint
-app.post('/api/upload', upload.single('image'), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-  
-  if (USE_R2) {
-    const filename = `${uuidv4()}-${req.file.originalname}`;
+// Set or clear a report's client password (empty password removes it)
+app.put('/api/reports/:id/password', requireRole('editor', 'write'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
+  const { password } = req.body;
+  if (password && password.length < 4) {
+    return res.status(400).json({ error: 'Password must be at least 4 characters' });
+  }
+
+  try {
+    const stored = await readJsonWithEtag(`reports/${id}.json`);
+    if (!stored) return res.status(404).json({ error: 'Report not found' });
+    const existingData = stored.data;
+    // A revision of its own, so the history shows it and open editors see the report has moved on
+    const report = {
+      ...existingData,
+      updatedAt: new Date().toISOString(),
+      revision: (existingData.revision || 1) + 1
+    };
+    if (password) {
+      report.clientPasswordHash = hashPassword(password);
+    } else {
+      delete report.clientPasswordHash;
+    }
     try {
-      await r2Put(`uploads/${filename}`, req.file.buffer, req.file.mimetype);
-      res.json({ url: `/uploads/${filename}` });
+      await writeJson(`reports/${id}.json`, report, { ifMatch: stored.etag });
     } catch (error) {
-      console.error('R2 upload error:', error);
-      res.status(500).json({ error: 'Upload failed' });
+      if (error.code !== 'PRECONDITION_FAILED') throw error;
+      return res.status(409).json({ error: 'This report was changed at the same time - try again' });
     }
-  } else {
-    res.json({ url: `/uploads/${req.file.filename}` });
+    const action = password ? 'password_set' : 'password_cleared';
+    await revisions.record(report, { actor: req.user, action, previous: existingData });
+    await indexReport(report);
+    audit(req, `report.${action}`, { target: { type: 'report', id }, details: { revision: report.revision } });
+    res.json({ success: true, passwordProtected: !!password, revision: report.revision });
+  } catch (error) {
+    console.error('Error setting report password:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Scrape smart link for artwork
-app.post('/api/scrape-smartlink', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
-  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
-  
-  console.log(`Scraping smart link: ${url}`);
-  
+// Revoke a report's share link
+app.delete('/api/reports/:id/share', requireRole('editor', 'write'), async (req, res) => {
+  const { id } = req.params;
+  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
   try {
-const browser = await chromium.launch({ 
-      headless: true,
-      args: ['--disable-gpu', '--disable-dev-shm-usage', '--disable-setuid-sandbox', '--no-sandbox', '--single-process', '--no-zygote']
-    });
-    const context = await browser.newContext({
-      viewport: { width: 1200, height: 800 },
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-    });
-    const page = await context.newPage();
-    
+    await shares.revoke(id);
+    audit(req, 'report.unshare', { target: { type: 'report', id } });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Smart link scraper function (artwork, title and artist)
+async function scrapeSmartLink(url) {
+  return browserPool.run({
+    viewport: { width: 1200, height: 800 },
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+  }, async page => {
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await page.waitForTimeout(3000);
     
@@ -526,243 +1752,14 @@ const browser = await chromium.launch({
         );
       }
     }
-    
-    await browser.close();
-    console.log('Scraped smart link:', data);
-    res.json(data);
-    
-  } catch (error) {
-    console.error('Smart link scrape error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Scrape PR article data
-app.post('/api/scrape-article', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
-  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
-  
-  console.log(`Scraping article: ${url}`);
-  
-  try {
-    const data = await scrapeArticle(url);
-    res.json(data);
-  } catch (error) {
-    console.error('Article scrape error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Scrape Spotify playlist data
-app.post('/api/scrape-spotify-playlist', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
-  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
-  
-  // Extract playlist ID from URL
-  const playlistMatch = url.match(/playlist\/([a-zA-Z0-9]+)/);
-  if (!playlistMatch) return res.status(400).json({ error: 'Invalid Spotify playlist URL' });
-  
-  const playlistId = playlistMatch[1];
-  console.log(`Scraping Spotify playlist: ${playlistId}`);
-  
-  try {
-    const data = await scrapeSpotifyPlaylist(url, playlistId);
-    res.json(data);
-  } catch (error) {
-    console.error('Spotify scrape error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Scrape Feature.fm analytics
-app.post('/api/scrape-ffm', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
-  if (!isAllowedScrapeUrl(url)) return res.status(400).json({ error: 'URL not allowed' });
-  
-  console.log(`Scraping: ${url}`);
-  
-  try {
-    const data = await scrapeFeatureFm(url);
-    res.json(data);
-  } catch (error) {
-    console.error('Scrape error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Create report
-app.post('/api/reports', async (req, res) => {
-  const reportId = uuidv4().slice(0, 8);
-  const {
-    artistName, releaseTitle, dateRange, heroArtwork, heroArtworkBlurred, smartLink,
-    sectionVisibility, analytics, prPlacements, playlists,
-    totalPlaylists, spotifyAudience, feedbackForms
-  } = req.body;
-  const reportData = {
-    id: reportId,
-    createdAt: new Date().toISOString(),
-    artistName, releaseTitle, dateRange, heroArtwork, heroArtworkBlurred, smartLink,
-    sectionVisibility, analytics, prPlacements, playlists,
-    totalPlaylists, spotifyAudience, feedbackForms
-  };
-  
-  try {
-    const json = JSON.stringify(reportData, null, 2);
-    if (USE_R2) {
-      await r2Put(`reports/${reportId}.json`, json, 'application/json');
-    } else {
-      const reportPath = path.join(REPORTS_DIR, `${reportId}.json`);
-      fs.writeFileSync(reportPath, json);
-    }
-    reports.set(reportId, reportData);
-    res.json({ id: reportId, url: `/report/${reportId}` });
-  } catch (error) {
-    console.error('Error saving report:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// List all reports with optional search
-app.get('/api/reports', async (req, res) => {
-  const { q } = req.query;
-  
-  try {
-    let reportsList;
-    
-    if (USE_R2) {
-      const keys = await r2List('reports/');
-      const jsonKeys = keys.filter(k => k.endsWith('.json'));
-      const results = await Promise.all(jsonKeys.map(k => r2Get(k)));
-      reportsList = results.filter(Boolean).map(r => {
-        const data = JSON.parse(r.body.toString('utf-8'));
-        return {
-          id: data.id,
-          artistName: data.artistName || '',
-          releaseTitle: data.releaseTitle || '',
-          dateRange: data.dateRange || '',
-          createdAt: data.createdAt || '',
-          heroArtwork: data.heroArtwork || ''
-        };
-      });
-    } else {
-      const files = fs.readdirSync(REPORTS_DIR).filter(f => f.endsWith('.json'));
-      reportsList = files.map(file => {
-        const data = JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, file), 'utf-8'));
-        return {
-          id: data.id,
-          artistName: data.artistName || '',
-          releaseTitle: data.releaseTitle || '',
-          dateRange: data.dateRange || '',
-          createdAt: data.createdAt || '',
-          heroArtwork: data.heroArtwork || ''
-        };
-      });
-    }
-    
-    // Filter by search query if provided
-    if (q) {
-      const query = q.toLowerCase();
-      reportsList = reportsList.filter(r => 
-        r.artistName.toLowerCase().includes(query) ||
-        r.releaseTitle.toLowerCase().includes(query)
-      );
-    }
-    
-    // Sort by createdAt descending (newest first)
-    reportsList.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    res.json(reportsList);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Update report
-app.put('/api/reports/:id', async (req, res) => {
-  const { id } = req.params;
-  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
-  
-  try {
-    let existingData;
-    if (USE_R2) {
-      const result = await r2Get(`reports/${id}.json`);
-      if (!result) return res.status(404).json({ error: 'Report not found' });
-      existingData = JSON.parse(result.body.toString('utf-8'));
-    } else {
-      const reportPath = path.join(REPORTS_DIR, `${id}.json`);
-      if (!fs.existsSync(reportPath)) return res.status(404).json({ error: 'Report not found' });
-      existingData = JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
-    }
-    
-    const updatedData = {
-      ...existingData,
-      ...req.body,
-      id,
-      createdAt: existingData.createdAt,
-      updatedAt: new Date().toISOString()
-    };
-    
-    const json = JSON.stringify(updatedData, null, 2);
-    if (USE_R2) {
-      await r2Put(`reports/${id}.json`, json, 'application/json');
-    } else {
-      fs.writeFileSync(path.join(REPORTS_DIR, `${id}.json`), json);
-    }
-    reports.set(id, updatedData);
-    res.json({ id, url: `/report/${id}` });
-  } catch (error) {
-    console.error('Error updating report:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Manual backup trigger (auth-protected)
-app.post('/api/backup', async (req, res) => {
-  try {
-    const { runBackup } = await import('./backup.js');
-    const result = await runBackup();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
 
-// Delete report
-app.delete('/api/reports/:id', async (req, res) => {
-  const { id } = req.params;
-  if (!isValidReportId(id)) return res.status(400).json({ error: 'Invalid report ID' });
-  
-  try {
-    if (USE_R2) {
-      const result = await r2Get(`reports/${id}.json`);
-      if (!result) return res.status(404).json({ error: 'Report not found' });
-      await r2Delete(`reports/${id}.json`);
-    } else {
-      const reportPath = path.join(REPORTS_DIR, `${id}.json`);
-      if (!fs.existsSync(reportPath)) return res.status(404).json({ error: 'Report not found' });
-      fs.unlinkSync(reportPath);
-    }
-    reports.delete(id);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error deleting report:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+    return data;
+  });
+}
 
 // Feature.fm scraper function
 async function scrapeFeatureFm(url) {
-  const browser = await chromium.launch({ 
-    headless: true,
-    args: ['--disable-gpu', '--disable-dev-shm-usage', '--disable-setuid-sandbox', '--no-sandbox', '--single-process', '--no-zygote']
-  });
-  const context = await browser.newContext({ viewport: { width: 1400, height: 2000 } });
-  const page = await context.newPage();
-  
-  try {
+  return browserPool.run({ viewport: { width: 1400, height: 2000 } }, async page => {
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await page.waitForTimeout(5000);
     
@@ -958,37 +1955,20 @@ async function scrapeFeatureFm(url) {
     // Take full page screenshot
     const screenshotBuffer = await page.screenshot({ fullPage: true });
     const screenshotFilename = `ffm-${Date.now()}.png`;
-    if (USE_R2) {
-      await r2Put(`uploads/${screenshotFilename}`, screenshotBuffer, 'image/png');
-    } else {
-      fs.writeFileSync(path.join(UPLOADS_DIR, screenshotFilename), screenshotBuffer);
-    }
+    await storage.put(`uploads/${screenshotFilename}`, screenshotBuffer, 'image/png');
     data.screenshot = `/uploads/${screenshotFilename}`;
     
-    await browser.close();
-    
     console.log('Scraped data:', JSON.stringify(data, null, 2));
     return data;
-    
-  } catch (error) {
-    await browser.close();
-    throw error;
-  }
+  });
 }
 
 // Article scraper function for PR placements
 async function scrapeArticle(url) {
-  const browser = await chromium.launch({ 
-    headless: true,
-    args: ['--disable-gpu', '--disable-dev-shm-usage', '--disable-setuid-sandbox', '--no-sandbox', '--single-process', '--no-zygote']
-  });
-  const context = await browser.newContext({
+  return browserPool.run({
     viewport: { width: 1400, height: 900 },
     userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
-  const page = await context.newPage();
-  
-  try {
+  }, async page => {
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await page.waitForTimeout(3000);
     
@@ -1087,23 +2067,13 @@ async function scrapeArticle(url) {
     // Take screenshot of the article for fallback
     const screenshotBuffer = await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width: 1400, height: 800 } });
     const screenshotFilename = `article-${Date.now()}.png`;
-    if (USE_R2) {
-      await r2Put(`uploads/${screenshotFilename}`, screenshotBuffer, 'image/png');
-    } else {
-      fs.writeFileSync(path.join(UPLOADS_DIR, screenshotFilename), screenshotBuffer);
-    }
+    await storage.put(`uploads/${screenshotFilename}`, screenshotBuffer, 'image/png');
     data.screenshot = `/uploads/${screenshotFilename}`;
     
-    await browser.close();
-    
     data.articleUrl = url;
     console.log('Scraped article:', data);
     return data;
-    
-  } catch (error) {
-    await browser.close();
-    throw error;
-  }
+  });
 }
 
 // Spotify playlist function - uses oEmbed API (no scraping needed)
@@ -1154,14 +2124,14 @@ async function scrapeSpotifyPlaylist(url, playlistId) {
 }
 
 // Google Sheets API endpoint - get all tabs and data from a spreadsheet
-app.get('/api/sheets/:spreadsheetId', async (req, res) => {
+app.get('/api/sheets/:spreadsheetId', requireRole('editor'), async (req, res) => {
   if (!sheetsClient) {
     return res.status(503).json({ error: 'Google Sheets not configured' });
   }
-  
+
   const { spreadsheetId } = req.params;
   const { tab } = req.query; // Optional: fetch specific tab only
-  
+
   try {
     // First get spreadsheet metadata to get tab names
     const metadata = await sheetsClient.spreadsheets.get({
@@ -1216,7 +2186,32 @@ app.get('/api/sheets/:spreadsheetId', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 Ditto Promo Report Dashboard`);
   console.log(`   http://localhost:${PORT}\n`);
 });
+
+// On SIGTERM (a deploy or restart) stop taking requests, give the ones in
+// flight a few seconds, then shut the scraper browser down with the process
+const SHUTDOWN_GRACE_MS = 10000;
+
+async function shutdown(signal) {
+  console.log(`\n${signal} received - shutting down`);
+  const closed = new Promise(resolve => server.close(resolve));
+  await Promise.race([closed, new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS).unref())]);
+  await browserPool.close().catch(err => console.error('Scraper browser shutdown failed:', err));
+  process.exit(0);
+}
+process.once('SIGTERM', () => { shutdown('SIGTERM'); });
+process.once('SIGINT', () => { shutdown('SIGINT'); });
+
+// Purge expired trash on boot and hourly after that
+purgeExpiredTrash().catch(err => console.error('Trash purge failed:', err));
+setInterval(() => {
+  purgeExpiredTrash().catch(err => console.error('Trash purge failed:', err));
+}, TRASH_PURGE_INTERVAL_MS).unref();
+
+// Sweep orphaned uploads daily
+setInterval(() => {
+  sweepUploads().catch(err => console.error('Upload sweep failed:', err));
+}, UPLOAD_GC_INTERVAL_MS).unref();
@@ -0,0 +1,141 @@
+/**
+ * Persistent login sessions.
+ *
+ * Sessions are kept in a JSON document (meta/sessions.json) next to the
+ * reports, so a deploy or crash no longer logs everyone out. Only a SHA-256
+ * of each cookie token is stored; the token itself lives in the browser.
+ *
+ * Expiry is sliding: every authenticated request pushes expiresAt forward by
+ * SESSION_IDLE_MS, up to SESSION_MAX_AGE_MS after login. To avoid a write per
+ * request, lastSeenAt is only persisted once every TOUCH_INTERVAL_MS.
+ */
+
+import crypto from 'crypto';
+
+const SESSIONS_KEY = 'meta/sessions.json';
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000; // 24 hours without activity
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days after login
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Strip the token hash before sending a session to the client. */
+function publicSession(session) {
+  const { tokenHash, ...rest } = session;
+  return rest;
+}
+
+/**
+ * Create a session store on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ */
+function createSessionStore({ readJson, writeJson }) {
+  let sessions = null;
+
+  function isExpired(session, now = Date.now()) {
+    return now > new Date(session.expiresAt).getTime();
+  }
+
+  async function load() {
+    if (!sessions) {
+      sessions = ((await readJson(SESSIONS_KEY)) || []).filter(s => !isExpired(s));
+    }
+    return sessions;
+  }
+
+  async function save() {
+    sessions = sessions.filter(s => !isExpired(s));
+    await writeJson(SESSIONS_KEY, sessions);
+  }
+
+  /**
+   * Start a session for a user.
+   * @returns {Promise<{token: string, session: object}>}
+   */
+  async function create(userId, { ip = '', userAgent = '' } = {}) {
+    await load();
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(8).toString('hex'),
+      tokenHash: hashToken(token),
+      userId,
+      ip,
+      userAgent: userAgent.slice(0, 200),
+      createdAt: new Date(now).toISOString(),
+      lastSeenAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_IDLE_MS).toISOString()
+    };
+    sessions.push(session);
+    await save();
+    return { token, session };
+  }
+
+  /**
+   * Resolve a cookie token to its session and slide the expiry forward.
+   * Returns null for unknown or expired tokens.
+   */
+  async function touch(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const session = (await load()).find(s => s.tokenHash === tokenHash);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (isExpired(session, now)) {
+      await revoke(session.id);
+      return null;
+    }
+
+    if (now - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+      const hardLimit = new Date(session.createdAt).getTime() + SESSION_MAX_AGE_MS;
+      session.lastSeenAt = new Date(now).toISOString();
+      session.expiresAt = new Date(Math.min(now + SESSION_IDLE_MS, hardLimit)).toISOString();
+      await save();
+    }
+    return session;
+  }
+
+  async function findById(id) {
+    return (await load()).find(s => s.id === id) || null;
+  }
+
+  async function list({ userId } = {}) {
+    const now = Date.now();
+    return (await load())
+      .filter(s => !isExpired(s, now) && (!userId || s.userId === userId))
+      .map(publicSession);
+  }
+
+  async function revoke(id) {
+    await load();
+    const before = sessions.length;
+    sessions = sessions.filter(s => s.id !== id);
+    if (sessions.length === before) return false;
+    await save();
+    return true;
+  }
+
+  async function revokeByToken(token) {
+    if (!token) return false;
+    const tokenHash = hashToken(token);
+    const session = (await load()).find(s => s.tokenHash === tokenHash);
+    return session ? revoke(session.id) : false;
+  }
+
+  /** Revoke every session for a user ("log out everywhere"). */
+  async function revokeForUser(userId) {
+    await load();
+    const before = sessions.length;
+    sessions = sessions.filter(s => s.userId !== userId);
+    const revoked = before - sessions.length;
+    if (revoked > 0) await save();
+    return revoked;
+  }
+
+  return { create, touch, findById, list, revoke, revokeByToken, revokeForUser };
+}
+
+export { SESSION_MAX_AGE_MS, createSessionStore };
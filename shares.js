@@ -0,0 +1,89 @@
+/**
+ * Share links for public report pages.
+ *
+ * Each report has at most one active share token, kept in a JSON document
+ * (meta/shares.json) next to the reports. Regenerating a link replaces the
+ * old token, so previously sent links stop working. Links may carry an
+ * expiry date; expired links are treated as revoked.
+ */
+
+import crypto from 'crypto';
+
+const SHARES_KEY = 'meta/shares.json';
+
+/**
+ * Create a share link store on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ */
+function createShareStore({ readJson, writeJson }) {
+  let shares = null;
+
+  function isExpired(share, now = Date.now()) {
+    return !!share.expiresAt && now > new Date(share.expiresAt).getTime();
+  }
+
+  async function load() {
+    if (!shares) {
+      shares = (await readJson(SHARES_KEY)) || [];
+    }
+    return shares;
+  }
+
+  async function save() {
+    await writeJson(SHARES_KEY, shares);
+  }
+
+  /** Current share link for a report (including expired ones, so staff can see why). */
+  async function get(reportId) {
+    return (await load()).find(s => s.reportId === reportId) || null;
+  }
+
+  /**
+   * Issue a new share token for a report, replacing any existing one.
+   * @param {string} reportId
+   * @param {{expiresAt?: string|null, createdBy?: string}} options
+   */
+  async function issue(reportId, { expiresAt = null, createdBy = '' } = {}) {
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) throw new Error('Invalid expiry date');
+    await load();
+    const share = {
+      reportId,
+      token: crypto.randomBytes(24).toString('base64url'),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+    };
+    shares = shares.filter(s => s.reportId !== reportId);
+    shares.push(share);
+    await save();
+    return share;
+  }
+
+  async function revoke(reportId) {
+    await load();
+    const before = shares.length;
+    shares = shares.filter(s => s.reportId !== reportId);
+    if (shares.length === before) return false;
+    await save();
+    return true;
+  }
+
+  /** Is this token a live share link for the report? */
+  async function verify(reportId, token) {
+    if (!token) return false;
+    const share = await get(reportId);
+    if (!share || isExpired(share)) return false;
+    const expected = Buffer.from(share.token);
+    const actual = Buffer.from(String(token));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /** Map of reportId -> share, for annotating report lists. */
+  async function byReport() {
+    return new Map((await load()).map(s => [s.reportId, { ...s, expired: isExpired(s) }]));
+  }
+
+  return { get, issue, revoke, verify, byReport };
+}
+
+export { createShareStore };
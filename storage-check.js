@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * Storage conformance checks: runs the same behaviour checks against each
+ * storage backend so they stay interchangeable.
+ *
+ * Usage:
+ *   node storage-check.js              # fs, memory and r2 (against the S3 stand-in)
+ *   node storage-check.js memory r2    # only the named backends
+ *   node storage-check.js r2 --live    # r2 against the bucket configured for r2.js
+ *
+ * The fs backend is checked in a temporary directory, along with its ETag
+ * cache (see checkFsEtags). The r2 backend also
+ * runs r2.js-specific checks (paginated listing, multipart upload). By
+ * default it talks to an in-process S3 stand-in (s3-standin.js), so it runs
+ * offline; with --live it writes under a throwaway 'storage-check/<random>/'
+ * prefix in the real bucket and removes it afterwards. (Some S3 emulators
+ * ignore If-Match on PUT, so the stale-ifMatch check fails against them.)
+ * Exits with status 1 if any check fails.
+ *
+ * New backends can reuse checkStorage(storage, prefix) directly.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { createFsStorage, createR2Storage, createMemoryStorage } from './storage.js';
+import { r2List, r2Put, r2Head, r2GetStream, r2PutStream, r2Delete, isConfigured as r2IsConfigured } from './r2.js';
+import { startS3Standin } from './s3-standin.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function runChecks(checks) {
+  let passed = 0;
+  const failed = [];
+  for (const [name, run] of checks) {
+    try {
+      await run();
+      passed++;
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      failed.push(name);
+      console.log(`  ✗ ${name}: ${error.message}`);
+    }
+  }
+  return { passed, failed };
+}
+
+/**
+ * Run every check against a backend. All keys are written under `prefix`.
+ * @returns {Promise<{passed: number, failed: string[]}>}
+ */
+async function checkStorage(storage, prefix) {
+  const binary = crypto.randomBytes(4096);
+  const checks = [
+    ['get of a missing key returns null', async () => {
+      assert(await storage.get(`${prefix}missing.json`) === null, 'expected null');
+    }],
+    ['head of a missing key returns null', async () => {
+      assert(await storage.head(`${prefix}missing.json`) === null, 'expected null');
+    }],
+    ['stream of a missing key returns null', async () => {
+      assert(await storage.stream(`${prefix}missing.json`) === null, 'expected null');
+    }],
+    ['put then get returns the same bytes and content type', async () => {
+      await storage.put(`${prefix}reports/a.json`, '{"id":"a"}', 'application/json');
+      const result = await storage.get(`${prefix}reports/a.json`);
+      assert(result, 'expected an object');
+      assert(result.body.toString('utf-8') === '{"id":"a"}', 'body mismatch');
+      assert(result.contentType.startsWith('application/json'), `content type was ${result.contentType}`);
+      assert(result.size === 10, `size was ${result.size}`);
+    }],
+    ['binary bodies round-trip unchanged', async () => {
+      await storage.put(`${prefix}uploads/blob.png`, binary, 'image/png');
+      const result = await storage.get(`${prefix}uploads/blob.png`);
+      assert(result && result.body.equals(binary), 'body mismatch');
+    }],
+    ['head returns size, content type and last modified', async () => {
+      const meta = await storage.head(`${prefix}uploads/blob.png`);
+      assert(meta, 'expected metadata');
+      assert(meta.size === binary.length, `size was ${meta.size}`);
+      assert(meta.contentType === 'image/png', `content type was ${meta.contentType}`);
+      assert(!isNaN(new Date(meta.lastModified).getTime()), 'lastModified is not a date');
+      assert(!('body' in meta), 'head should not include the body');
+    }],
+    ['stream yields the full body', async () => {
+      const result = await storage.stream(`${prefix}uploads/blob.png`);
+      assert(result, 'expected a stream');
+      assert(result.size === binary.length, `size was ${result.size}`);
+      assert((await readStream(result.stream)).equals(binary), 'streamed body mismatch');
+    }],
+    ['put accepts a readable stream', async () => {
+      await storage.put(`${prefix}uploads/streamed.png`, Readable.from([binary.subarray(0, 1000), binary.subarray(1000)]), 'image/png');
+      const result = await storage.get(`${prefix}uploads/streamed.png`);
+      assert(result && result.body.equals(binary), 'body mismatch');
+    }],
+    ['get and head report the same etag', async () => {
+      const result = await storage.get(`${prefix}uploads/blob.png`);
+      const meta = await storage.head(`${prefix}uploads/blob.png`);
+      assert(result.etag && result.etag === meta.etag, `${result.etag} vs ${meta.etag}`);
+    }],
+    ['put returns the etag head reports', async () => {
+      const { etag } = await storage.put(`${prefix}meta/etag.json`, '{"id":"etag"}', 'application/json');
+      const meta = await storage.head(`${prefix}meta/etag.json`);
+      assert(etag && etag === meta.etag, `${etag} vs ${meta.etag}`);
+    }],
+    ['put with the current etag as ifMatch succeeds and changes the etag', async () => {
+      const { etag } = await storage.head(`${prefix}uploads/blob.png`);
+      await storage.put(`${prefix}uploads/blob.png`, binary.subarray(0, 100), 'image/png', { ifMatch: etag });
+      const meta = await storage.head(`${prefix}uploads/blob.png`);
+      assert(meta.size === 100, `size was ${meta.size}`);
+      assert(meta.etag !== etag, 'etag did not change');
+    }],
+    ['put with a stale ifMatch fails and writes nothing', async () => {
+      const { etag } = await storage.head(`${prefix}uploads/blob.png`);
+      await storage.put(`${prefix}uploads/blob.png`, binary, 'image/png');
+      let code = null;
+      try {
+        await storage.put(`${prefix}uploads/blob.png`, 'stale', 'image/png', { ifMatch: etag });
+      } catch (error) {
+        code = error.code;
+      }
+      assert(code === 'PRECONDITION_FAILED', `error code was ${code}`);
+      const result = await storage.get(`${prefix}uploads/blob.png`);
+      assert(result.body.equals(binary), 'stale write was applied');
+    }],
+    ['put overwrites an existing key', async () => {
+      await storage.put(`${prefix}reports/a.json`, '{"id":"a","v":2}', 'application/json');
+      const result = await storage.get(`${prefix}reports/a.json`);
+      assert(result.body.toString('utf-8') === '{"id":"a","v":2}', 'body was not replaced');
+    }],
+    ['list returns sorted keys under a prefix only', async () => {
+      await storage.put(`${prefix}reports/b.json`, '{}', 'application/json');
+      await storage.put(`${prefix}reports-other/c.json`, '{}', 'application/json');
+      await storage.put(`${prefix}reports/nested/d.json`, '{}', 'application/json');
+      const keys = await storage.list(`${prefix}reports/`);
+      const expected = [`${prefix}reports/a.json`, `${prefix}reports/b.json`, `${prefix}reports/nested/d.json`];
+      assert(JSON.stringify(keys) === JSON.stringify(expected), `got ${JSON.stringify(keys)}`);
+    }],
+    ['list of an empty prefix returns an empty array', async () => {
+      const keys = await storage.list(`${prefix}nothing-here/`);
+      assert(Array.isArray(keys) && keys.length === 0, `got ${JSON.stringify(keys)}`);
+    }],
+    ['delete removes the key', async () => {
+      await storage.delete(`${prefix}reports/b.json`);
+      assert(await storage.get(`${prefix}reports/b.json`) === null, 'key still readable');
+      assert(!(await storage.list(`${prefix}reports/`)).includes(`${prefix}reports/b.json`), 'key still listed');
+    }],
+    ['delete of a missing key is not an error', async () => {
+      await storage.delete(`${prefix}reports/never-existed.json`);
+    }],
+    ['keys that escape the store are rejected', async () => {
+      for (const key of ['../outside.json', `${prefix}../x.json`, '/absolute.json', `${prefix}a//b.json`]) {
+        let rejected = false;
+        try {
+          await storage.put(key, '{}', 'application/json');
+        } catch (error) {
+          rejected = true;
+        }
+        assert(rejected, `accepted ${key}`);
+      }
+    }],
+  ];
+
+  const result = await runChecks(checks);
+
+  // Clean up everything written under the prefix
+  for (const key of await storage.list(prefix)) {
+    await storage.delete(key);
+  }
+  return result;
+}
+
+/**
+ * r2.js behaviour the storage interface doesn't expose: continuation tokens,
+ * HEAD metadata and multipart uploads. All keys are written under `prefix`.
+ */
+async function checkR2Client(prefix) {
+  const checks = [
+    ['r2List follows continuation tokens', async () => {
+      const keys = Array.from({ length: 7 }, (_, i) => `${prefix}page/${String(i).padStart(2, '0')} & <odd>.json`);
+      for (const key of keys) await r2Put(key, '{}', 'application/json');
+      const listed = await r2List(`${prefix}page/`, { pageSize: 3 });
+      assert(JSON.stringify(listed.sort()) === JSON.stringify(keys), `got ${listed.length} keys: ${JSON.stringify(listed)}`);
+    }],
+    ['r2Head returns metadata without a body', async () => {
+      await r2Put(`${prefix}head.png`, crypto.randomBytes(1234), 'image/png');
+      const meta = await r2Head(`${prefix}head.png`);
+      assert(meta && meta.size === 1234, `size was ${meta?.size}`);
+      assert(meta.contentType === 'image/png', `content type was ${meta.contentType}`);
+      assert(meta.etag, 'missing etag');
+    }],
+    ['r2PutStream uses multipart for large streams', async () => {
+      const partSize = 5 * 1024 * 1024;
+      const chunk = crypto.randomBytes(1024 * 1024);
+      const chunks = Array.from({ length: 11 }, () => chunk);
+      const hash = crypto.createHash('sha256');
+      chunks.forEach(c => hash.update(c));
+      const result = await r2PutStream(`${prefix}large.bin`, Readable.from(chunks), 'application/octet-stream', { partSize });
+      assert(result.parts === 3, `expected 3 parts, got ${result.parts}`);
+      const download = await r2GetStream(`${prefix}large.bin`);
+      const downloadHash = crypto.createHash('sha256');
+      let size = 0;
+      for await (const c of download.stream) {
+        downloadHash.update(c);
+        size += c.length;
+      }
+      assert(size === 11 * chunk.length, `size was ${size}`);
+      assert(downloadHash.digest('hex') === hash.digest('hex'), 'checksum mismatch');
+    }],
+    ['r2PutStream sends small streams as a single PUT', async () => {
+      const result = await r2PutStream(`${prefix}small.json`, Readable.from([Buffer.from('{"a":1}')]), 'application/json');
+      assert(result.parts === 1 && result.size === 7, JSON.stringify(result));
+    }],
+  ];
+
+  const result = await runChecks(checks);
+
+  for (const key of await r2List(prefix)) {
+    await r2Delete(key);
+  }
+  return result;
+}
+
+/**
+ * fs backend behaviour the interface doesn't show: ETags are cached by file
+ * mtime and size, so a file changed behind the backend's back must still be
+ * noticed. `dir` is the backend's root directory.
+ */
+async function checkFsEtags(storage, dir) {
+  const checks = [
+    ['head notices a file rewritten outside the backend', async () => {
+      const { etag } = await storage.put('reports/outside.json', '{"v":1}', 'application/json');
+      fs.writeFileSync(path.join(dir, 'reports', 'outside.json'), '{"v":2}');
+      const meta = await storage.head('reports/outside.json');
+      const expected = `"${crypto.createHash('md5').update('{"v":2}').digest('hex')}"`;
+      assert(meta.etag !== etag && meta.etag === expected, `etag was ${meta.etag}`);
+    }],
+  ];
+  return runChecks(checks);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const live = args.includes('--live');
+  const requested = args.filter(arg => arg !== '--live');
+  const backends = requested.length > 0 ? requested : ['fs', 'memory', 'r2'];
+  let failures = 0;
+
+  for (const backend of backends) {
+    let storage;
+    let tmpDir = null;
+    let standin = null;
+    let prefix = '';
+    let label = backend;
+    if (backend === 'fs') {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-check-'));
+      storage = createFsStorage(tmpDir);
+    } else if (backend === 'memory') {
+      storage = createMemoryStorage();
+    } else if (backend === 'r2') {
+      if (live) {
+        if (!r2IsConfigured()) {
+          console.error('❌ r2: missing R2 env vars');
+          failures++;
+          continue;
+        }
+        label = `r2 (${process.env.BACKUP_S3_BUCKET})`;
+      } else {
+        // r2.js reads its env on every request, so this points it at the stand-in
+        standin = await startS3Standin();
+        Object.assign(process.env, {
+          BACKUP_S3_BUCKET: standin.bucket,
+          BACKUP_S3_ENDPOINT: standin.endpoint,
+          AWS_ACCESS_KEY_ID: standin.accessKey,
+          AWS_SECRET_ACCESS_KEY: standin.secretKey
+        });
+        label = 'r2 (S3 stand-in)';
+      }
+      storage = createR2Storage();
+      prefix = `storage-check/${crypto.randomBytes(4).toString('hex')}/`;
+    } else {
+      console.error(`❌ Unknown backend "${backend}"`);
+      failures++;
+      continue;
+    }
+
+    console.log(`\n${label}`);
+    try {
+      const { passed, failed } = await checkStorage(storage, prefix);
+      console.log(`  ${passed} passed, ${failed.length} failed`);
+      failures += failed.length;
+
+      if (backend === 'fs') {
+        console.log('\nfs etags');
+        const etags = await checkFsEtags(storage, tmpDir);
+        console.log(`  ${etags.passed} passed, ${etags.failed.length} failed`);
+        failures += etags.failed.length;
+      }
+
+      if (backend === 'r2') {
+        console.log('\nr2 client');
+        const client = await checkR2Client(prefix);
+        console.log(`  ${client.passed} passed, ${client.failed.length} failed`);
+        failures += client.failed.length;
+      }
+    } finally {
+      if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+      if (standin) await standin.close();
+    }
+  }
+
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Storage check failed:', err.message);
+    process.exit(1);
+  });
+}
+
+export { checkStorage, checkR2Client, checkFsEtags };
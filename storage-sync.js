@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Sync and verify objects between two storage backends (this used to be the
+ * one-time migrate-to-r2.js).
+ *
+ * Both sides are listed and every object in both is compared by checksum -
+ * the MD5 ETag the backends report, or a hash of the content where the ETag
+ * isn't a plain MD5 (R2 multipart uploads). The result is a report of objects
+ * missing from the target, differing between the two, and extra (only in the
+ * target). A sync then copies the missing and differing objects from the
+ * source and checks each copy by its checksum; with --delete, extra objects
+ * are removed from the target as well.
+ *
+ * A side is one of:
+ *   fs              the local data directory (./data, /data in production)
+ *   fs:<dir>        files under another directory
+ *   r2              the bucket configured for r2.js
+ *   <archive>       a backup archive (.tar.gz, or .tar.gz.enc decrypted with
+ *                   BACKUP_ENCRYPTION_KEYS) - source only, checked like a restore
+ *
+ * Usage:
+ *   node storage-sync.js fs r2                    # push local data to R2
+ *   node storage-sync.js r2 fs --dry-run          # what seeding local data from production would change
+ *   node storage-sync.js r2 fs --delete           # make local data an exact copy of production
+ *   node storage-sync.js backup.tar.gz r2         # load a backup archive into R2
+ *   node storage-sync.js backup.tar.gz fs --prefix meta/ --prefix audit/   # bring back users, API keys and the audit log
+ *   node storage-sync.js --verify fs r2           # compare only; exits with status 1 if they differ
+ *
+ * Only reports/ and uploads/ are synced unless --prefix is given (repeatable,
+ * e.g. --prefix trash/ --prefix revisions/) - users, sessions and API keys in
+ * meta/ stay where they are. Lists are cut at 50 entries unless --verbose.
+ *
+ * Required env vars for r2: BACKUP_S3_BUCKET, BACKUP_S3_REGION, BACKUP_S3_ENDPOINT,
+ *                           AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFsStorage, createR2Storage } from './storage.js';
+import { isConfigured as r2IsConfigured } from './r2.js';
+import { extractArchive } from './restore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.NODE_ENV === 'production' ? '/data' : path.join(__dirname, 'data');
+const DEFAULT_PREFIXES = ['reports/', 'uploads/'];
+const CONCURRENCY = 8;
+const LIST_LIMIT = 50;
+
+/** Run fn over items, a few at a time. */
+async function mapLimit(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * MD5 of an object's content, or null if it doesn't exist. The ETag is used
+ * when it is a plain MD5; otherwise the object is read and hashed.
+ */
+async function checksum(storage, key) {
+  const meta = await storage.head(key);
+  if (!meta) return null;
+  const etag = (meta.etag || '').replace(/"/g, '').toLowerCase();
+  if (/^[0-9a-f]{32}$/.test(etag)) return etag;
+  const object = await storage.get(key);
+  return object ? crypto.createHash('md5').update(object.body).digest('hex') : null;
+}
+
+/**
+ * Open one side of a sync.
+ * @param {string} spec - fs, fs:<dir>, r2 or the path to a backup archive
+ * @returns {{storage: object, label: string, close: Function}}
+ */
+function openSide(spec) {
+  if (spec === 'fs' || spec.startsWith('fs:')) {
+    const dir = path.resolve(spec === 'fs' ? DATA_DIR : spec.slice(3));
+    return { storage: createFsStorage(dir), label: `fs (${dir})`, close() {} };
+  }
+  if (spec === 'r2') {
+    if (!r2IsConfigured()) throw new Error('Missing R2 env vars: BACKUP_S3_BUCKET, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY');
+    return { storage: createR2Storage(), label: `r2 (${process.env.BACKUP_S3_BUCKET})`, close() {} };
+  }
+  if (fs.existsSync(spec) && fs.statSync(spec).isFile()) {
+    const archive = extractArchive(spec);
+    return {
+      storage: createFsStorage(path.join(archive.dir, 'files')),
+      label: `archive (${spec}${archive.encrypted ? ', encrypted' : ''})`,
+      archive: true,
+      close: () => fs.rmSync(archive.dir, { recursive: true, force: true })
+    };
+  }
+  throw new Error(`Unknown side "${spec}" - use fs, fs:<dir>, r2 or a backup archive`);
+}
+
+/**
+ * Compare the objects under some prefixes on two storage backends.
+ * @returns {Promise<{missing: string[], differing: string[], extra: string[], same: number, prefixes: object}>}
+ *   missing: only in the source; extra: only in the target; prefixes: counts per prefix
+ */
+async function compareStorages(source, target, prefixes = DEFAULT_PREFIXES) {
+  const result = { missing: [], differing: [], extra: [], same: 0, prefixes: {} };
+  for (const prefix of prefixes) {
+    const [sourceKeys, targetKeys] = await Promise.all([source.list(prefix), target.list(prefix)]);
+    const sourceSet = new Set(sourceKeys);
+    const targetSet = new Set(targetKeys);
+    const counts = { source: sourceKeys.length, target: targetKeys.length, same: 0, missing: 0, differing: 0, extra: 0 };
+
+    const missing = sourceKeys.filter(key => !targetSet.has(key));
+    const extra = targetKeys.filter(key => !sourceSet.has(key));
+    const differing = [];
+    await mapLimit(sourceKeys.filter(key => targetSet.has(key)), CONCURRENCY, async key => {
+      const [a, b] = await Promise.all([checksum(source, key), checksum(target, key)]);
+      if (a === b) {
+        counts.same++;
+      } else {
+        differing.push(key);
+      }
+    });
+
+    Object.assign(counts, { missing: missing.length, differing: differing.length, extra: extra.length });
+    result.missing.push(...missing);
+    result.differing.push(...differing.sort());
+    result.extra.push(...extra);
+    result.same += counts.same;
+    result.prefixes[prefix] = counts;
+  }
+  return result;
+}
+
+/**
+ * Copy missing and differing objects to the target (checking each copy) and,
+ * with deleteExtra, delete the extra ones.
+ * @returns {Promise<{copied: number, deleted: number, failed: Array<{key: string, error: string}>}>}
+ */
+async function applySync(source, target, comparison, { deleteExtra = false, onProgress = () => {} } = {}) {
+  const result = { copied: 0, deleted: 0, failed: [] };
+  await mapLimit([...comparison.missing, ...comparison.differing], CONCURRENCY, async key => {
+    try {
+      const object = await source.stream(key);
+      if (!object) throw new Error('no longer in the source');
+      await target.put(key, object.stream, object.contentType);
+      if (await checksum(target, key) !== await checksum(source, key)) throw new Error('checksum differs after copying');
+      result.copied++;
+      onProgress(result);
+    } catch (error) {
+      result.failed.push({ key, error: error.message });
+    }
+  });
+  if (deleteExtra) {
+    for (const key of comparison.extra) {
+      try {
+        await target.delete(key);
+        result.deleted++;
+      } catch (error) {
+        result.failed.push({ key, error: error.message });
+      }
+    }
+  }
+  return result;
+}
+
+function printKeys(title, keys, marker, verbose) {
+  if (keys.length === 0) return;
+  console.log(`\n   ${title} (${keys.length}):`);
+  const shown = verbose ? keys : keys.slice(0, LIST_LIMIT);
+  shown.forEach(key => console.log(`     ${marker} ${key}`));
+  if (shown.length < keys.length) console.log(`     … and ${keys.length - shown.length} more (--verbose lists them all)`);
+}
+
+function parseArgs(args) {
+  const options = { sides: [], prefixes: [], dryRun: false, verify: false, deleteExtra: false, verbose: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--verify') options.verify = true;
+    else if (arg === '--delete') options.deleteExtra = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--prefix') {
+      const prefix = args[++i];
+      if (!prefix) throw new Error('--prefix needs a value, e.g. --prefix trash/');
+      options.prefixes.push(prefix.endsWith('/') ? prefix : `${prefix}/`);
+    } else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.sides.push(arg);
+  }
+  if (options.sides.length !== 2) {
+    throw new Error('Usage: node storage-sync.js <source> <target> [--dry-run | --verify] [--delete] [--prefix <prefix>]... [--verbose]');
+  }
+  if (options.prefixes.length === 0) options.prefixes = DEFAULT_PREFIXES;
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [sourceSpec, targetSpec] = options.sides;
+  const source = openSide(sourceSpec);
+  let target;
+  try {
+    target = openSide(targetSpec);
+    if (target.archive) throw new Error('A backup archive can only be the source');
+    if (source.label === target.label) throw new Error('Source and target are the same');
+
+    console.log(`🔍 Comparing ${source.label} → ${target.label} (${options.prefixes.join(', ')})...`);
+    const comparison = await compareStorages(source.storage, target.storage, options.prefixes);
+    for (const [prefix, counts] of Object.entries(comparison.prefixes)) {
+      console.log(`   ${prefix.padEnd(10)} ${counts.source} in source, ${counts.target} in target: ` +
+        `${counts.same} same, ${counts.missing} missing, ${counts.differing} differing, ${counts.extra} extra`);
+    }
+    printKeys(`Missing from ${target.label}`, comparison.missing, '+', options.verbose);
+    printKeys('Differing', comparison.differing, '~', options.verbose);
+    printKeys(`Extra in ${target.label}${options.deleteExtra ? '' : ' (kept - --delete removes them)'}`, comparison.extra, '-', options.verbose);
+
+    const toCopy = comparison.missing.length + comparison.differing.length;
+    const toDelete = options.deleteExtra ? comparison.extra.length : 0;
+    if (options.verify) {
+      if (toCopy + comparison.extra.length > 0) {
+        console.log(`\n❌ Out of sync: ${comparison.missing.length} missing, ${comparison.differing.length} differing, ${comparison.extra.length} extra`);
+        process.exitCode = 1;
+      } else {
+        console.log(`\n✅ In sync (${comparison.same} objects)`);
+      }
+      return;
+    }
+    if (options.dryRun) {
+      console.log(`\n✅ Dry run: would copy ${toCopy} objects and delete ${toDelete}`);
+      return;
+    }
+    if (toCopy + toDelete === 0) {
+      console.log('\n✅ Nothing to do - already in sync');
+      return;
+    }
+
+    console.log(`\n📤 ${[toCopy && `Copying ${toCopy}`, toDelete && `Deleting ${toDelete}`].filter(Boolean).join(', ')} objects...`);
+    const result = await applySync(source.storage, target.storage, comparison, {
+      deleteExtra: options.deleteExtra,
+      onProgress: ({ copied }) => { if (copied % 20 === 0) console.log(`   ${copied} copied...`); }
+    });
+    result.failed.forEach(f => console.warn(`   ⚠️  ${f.key}: ${f.error}`));
+
+    const reportsChanged = [...comparison.missing, ...comparison.differing, ...(options.deleteExtra ? comparison.extra : [])]
+      .some(key => key.startsWith('reports/'));
+    if (reportsChanged && targetSpec.startsWith('fs')) {
+      console.log('   Reports changed - run `npm run reindex` to refresh the library index');
+    }
+    if (result.failed.length > 0) {
+      console.log(`\n❌ Copied ${result.copied}, deleted ${result.deleted}, ${result.failed.length} failed - run again to retry`);
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ Sync complete: copied and verified ${result.copied}, deleted ${result.deleted}`);
+    }
+  } finally {
+    source.close();
+    target?.close();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Sync failed:', err.message);
+    process.exit(1);
+  });
+}
+
+export { checksum, compareStorages, applySync };
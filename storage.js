@@ -0,0 +1,340 @@
+/**
+ * Storage backends for reports, uploads and metadata documents.
+ *
+ * Every backend stores objects under flat, slash-separated keys
+ * (e.g. 'reports/abc123.json', 'uploads/<uuid>-cover.png') and implements:
+ *
+ *   get(key)                    -> {body, contentType, size, lastModified, etag} | null
+ *   head(key)                   -> {contentType, size, lastModified, etag} | null
+ *   stream(key)                 -> {stream, contentType, size, lastModified} | null
+ *   put(key, body, contentType, {ifMatch}) -> {etag} (body: Buffer, string or readable stream;
+ *                                 etag is null for a stream the backend can't checksum up front)
+ *   delete(key)                 -> void (deleting a missing key is not an error)
+ *   list(prefix)                -> sorted array of keys
+ *
+ * `etag` identifies an object's current content. Passing it back as `ifMatch`
+ * makes put() a conditional write: if the object changed in the meantime it
+ * rejects with an error whose code is 'PRECONDITION_FAILED' and writes nothing.
+ *
+ * Backends: 'fs' (files under DATA_DIR), 'r2' (Cloudflare R2 via r2.js) and
+ * 'memory' (nothing persisted - for local experiments and checks).
+ * storage-check.js runs the same conformance checks against each of them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  r2Put, r2Get, r2Head, r2GetStream, r2PutStream, r2Delete, r2List,
+  isConfigured as r2IsConfigured
+} from './r2.js';
+
+const BACKENDS = ['fs', 'r2', 'memory'];
+// How many ETags the fs backend keeps, so head() needn't re-read unchanged files
+const FS_ETAG_CACHE_SIZE = 10000;
+
+const MIME_TYPES = {
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+};
+
+function getMimeType(key) {
+  return MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Keys are relative paths; reject anything that could escape the data directory
+function assertKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.includes('\\') ||
+      key.split('/').some(part => part === '' || part === '.' || part === '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+function computeEtag(buffer) {
+  return `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+}
+
+function preconditionFailed(key) {
+  const error = new Error(`Storage key ${key} was modified`);
+  error.code = 'PRECONDITION_FAILED';
+  return error;
+}
+
+function isStream(body) {
+  return body && typeof body.pipe === 'function';
+}
+
+async function toBuffer(body) {
+  if (isStream(body)) {
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+  return Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf-8');
+}
+
+/**
+ * Files under a root directory; the key is the relative path.
+ * @param {string} rootDir
+ */
+function createFsStorage(rootDir) {
+  const locks = new Map();
+  // ETags by key, with the mtime and size they were computed for
+  const etags = new Map();
+
+  function filePath(key) {
+    assertKey(key);
+    return path.join(rootDir, key);
+  }
+
+  // Serialize writes per key so a conditional put can't interleave with another write
+  async function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    locks.set(key, settled);
+    settled.then(() => {
+      if (locks.get(key) === settled) locks.delete(key);
+    });
+    return run;
+  }
+
+  // Metadata, plus a version (nanosecond mtime and size) that changes whenever the file does
+  async function statFile(key) {
+    try {
+      const stats = await fs.promises.stat(filePath(key), { bigint: true });
+      if (!stats.isFile()) return null;
+      return {
+        meta: { contentType: getMimeType(key), size: Number(stats.size), lastModified: new Date(Number(stats.mtimeMs)).toISOString() },
+        version: `${stats.mtimeNs}:${stats.size}`
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function stat(key) {
+    return (await statFile(key))?.meta || null;
+  }
+
+  function rememberEtag(key, version, etag) {
+    etags.delete(key);
+    if (etags.size >= FS_ETAG_CACHE_SIZE) etags.delete(etags.keys().next().value);
+    etags.set(key, { version, etag });
+  }
+
+  async function get(key) {
+    const file = await statFile(key);
+    if (!file) return null;
+    const body = await fs.promises.readFile(filePath(key));
+    const etag = computeEtag(body);
+    if (body.length === file.meta.size) rememberEtag(key, file.version, etag);
+    return { ...file.meta, size: body.length, etag, body };
+  }
+
+  // The ETag is a content hash: head() only reads the file again once its mtime or size has changed
+  async function head(key) {
+    const file = await statFile(key);
+    if (!file) return null;
+    const known = etags.get(key);
+    if (known?.version === file.version) return { ...file.meta, etag: known.etag };
+    const result = await get(key);
+    if (!result) return null;
+    const { body, ...meta } = result;
+    return meta;
+  }
+
+  async function stream(key) {
+    const meta = await stat(key);
+    if (!meta) return null;
+    return { ...meta, stream: fs.createReadStream(filePath(key)) };
+  }
+
+  async function put(key, body, contentType, { ifMatch } = {}) {
+    const target = filePath(key);
+    const data = isStream(body) && !ifMatch ? body : await toBuffer(body);
+    return withLock(key, async () => {
+      if (ifMatch) {
+        const current = await head(key);
+        if (!current || current.etag !== ifMatch) throw preconditionFailed(key);
+      }
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      etags.delete(key);
+      if (isStream(data)) {
+        await pipeline(data, fs.createWriteStream(target));
+        return { etag: null };
+      }
+      await fs.promises.writeFile(target, data);
+      const etag = computeEtag(data);
+      rememberEtag(key, (await statFile(key)).version, etag);
+      return { etag };
+    });
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(filePath(key), { force: true });
+    etags.delete(key);
+  }
+
+  async function list(prefix = '') {
+    // Only walk the deepest directory the prefix names
+    const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const keys = [];
+
+    async function walk(relDir) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(rootDir, relDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const key = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(key);
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+    }
+
+    await walk(dir);
+    return keys.sort();
+  }
+
+  return { name: 'fs', get, head, stream, put, delete: remove, list };
+}
+
+/** Objects in the R2 bucket configured for r2.js. */
+function createR2Storage() {
+  function toMeta({ contentType, size, lastModified, etag }) {
+    return { contentType, size, lastModified: lastModified ? new Date(lastModified).toISOString() : null, etag };
+  }
+
+  async function get(key) {
+    assertKey(key);
+    const result = await r2Get(key);
+    if (!result) return null;
+    return { ...toMeta({ ...result, size: result.body.length }), body: result.body };
+  }
+
+  async function head(key) {
+    assertKey(key);
+    const result = await r2Head(key);
+    return result ? toMeta(result) : null;
+  }
+
+  async function stream(key) {
+    assertKey(key);
+    const result = await r2GetStream(key);
+    if (!result) return null;
+    const { etag, ...meta } = toMeta(result);
+    return { ...meta, stream: result.stream };
+  }
+
+  async function put(key, body, contentType = getMimeType(key), { ifMatch } = {}) {
+    assertKey(key);
+    if (isStream(body) && !ifMatch) {
+      await r2PutStream(key, body, contentType);
+      return { etag: null };
+    }
+    const { etag } = await r2Put(key, await toBuffer(body), contentType, { ifMatch });
+    return { etag };
+  }
+
+  async function remove(key) {
+    assertKey(key);
+    await r2Delete(key);
+  }
+
+  async function list(prefix = '') {
+    return (await r2List(prefix)).sort();
+  }
+
+  return { name: 'r2', get, head, stream, put, delete: remove, list };
+}
+
+/** Objects held in a Map for the life of the process. */
+function createMemoryStorage() {
+  const objects = new Map();
+
+  function meta(object) {
+    return { contentType: object.contentType, size: object.body.length, lastModified: object.lastModified, etag: object.etag };
+  }
+
+  async function get(key) {
+    assertKey(key);
+    const object = objects.get(key);
+    return object ? { ...meta(object), body: Buffer.from(object.body) } : null;
+  }
+
+  async function head(key) {
+    assertKey(key);
+    const object = objects.get(key);
+    return object ? meta(object) : null;
+  }
+
+  async function stream(key) {
+    assertKey(key);
+    const object = objects.get(key);
+    if (!object) return null;
+    const { etag, ...rest } = meta(object);
+    return { ...rest, stream: Readable.from([Buffer.from(object.body)]) };
+  }
+
+  async function put(key, body, contentType = getMimeType(key), { ifMatch } = {}) {
+    assertKey(key);
+    const data = Buffer.from(await toBuffer(body));
+    // No await between the check and the write, so this is atomic
+    if (ifMatch && objects.get(key)?.etag !== ifMatch) throw preconditionFailed(key);
+    const etag = computeEtag(data);
+    objects.set(key, { body: data, contentType, etag, lastModified: new Date().toISOString() });
+    return { etag };
+  }
+
+  async function remove(key) {
+    assertKey(key);
+    objects.delete(key);
+  }
+
+  async function list(prefix = '') {
+    return [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+  }
+
+  return { name: 'memory', get, head, stream, put, delete: remove, list };
+}
+
+/**
+ * Pick a backend from configuration. STORAGE_BACKEND selects one explicitly;
+ * otherwise R2 is used in production when configured, and the filesystem
+ * everywhere else.
+ * @param {{backend?: string, dataDir: string}} options
+ */
+function createStorage({ backend = process.env.STORAGE_BACKEND, dataDir }) {
+  if (!backend) {
+    backend = process.env.NODE_ENV === 'production' && r2IsConfigured() ? 'r2' : 'fs';
+  }
+  switch (backend) {
+    case 'fs':
+      return createFsStorage(dataDir);
+    case 'r2':
+      if (!r2IsConfigured()) throw new Error('STORAGE_BACKEND=r2 but the R2 env vars are missing');
+      return createR2Storage();
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+}
+
+export { BACKENDS, getMimeType, createFsStorage, createR2Storage, createMemoryStorage, createStorage };
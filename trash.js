@@ -0,0 +1,147 @@
+/**
+ * Trash bin for deleted reports.
+ *
+ * Deleting a report moves its JSON to trash/<id>.json and lists it in
+ * meta/trash.json with who deleted it and when it expires. Until then it can
+ * be restored exactly as it was. Purging - by hand, or once the retention
+ * period has passed - removes the report and its revision history for good.
+ */
+
+const TRASH_KEY = 'meta/trash.json';
+
+function trashKey(id) {
+  return `trash/${id}.json`;
+}
+
+/**
+ * Create a trash bin on top of the storage backend.
+ * @param {{storage: object, readJson: Function, writeJson: Function}} options
+ * @param {{retentionDays?: number}} settings
+ */
+function createTrash({ storage, readJson, writeJson }, { retentionDays = 30 } = {}) {
+  let items = null;
+  let queue = Promise.resolve();
+
+  // Serialize changes so concurrent deletes/restores don't drop each other's entries
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function load() {
+    if (!items) {
+      items = (await readJson(TRASH_KEY)) || [];
+    }
+    return items;
+  }
+
+  async function save() {
+    await writeJson(TRASH_KEY, items);
+  }
+
+  function isExpired(item, now = Date.now()) {
+    return now > new Date(item.expiresAt).getTime();
+  }
+
+  /** Trashed reports, most recently deleted first. */
+  async function list() {
+    await enqueue(load);
+    return [...items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  async function get(id) {
+    await enqueue(load);
+    return items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Move a report into the trash. The caller has already checked it exists.
+   * @param {object} report - the stored report
+   * @param {{deletedBy?: string}} options
+   * @returns {Promise<object>} the trash entry
+   */
+  function add(report, { deletedBy = '' } = {}) {
+    return enqueue(async () => {
+      await load();
+      await writeJson(trashKey(report.id), report);
+      await storage.delete(`reports/${report.id}.json`);
+      const deletedAt = new Date();
+      const item = {
+        id: report.id,
+        artistName: report.artistName || '',
+        releaseTitle: report.releaseTitle || '',
+        heroArtwork: report.heroArtwork || '',
+        deletedAt: deletedAt.toISOString(),
+        deletedBy,
+        expiresAt: new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      };
+      items = items.filter(i => i.id !== report.id);
+      items.push(item);
+      await save();
+      return item;
+    });
+  }
+
+  /**
+   * Put a trashed report back where it was.
+   * @returns {Promise<object|null>} the restored report, or null if it isn't in the trash
+   */
+  function restore(id) {
+    return enqueue(async () => {
+      await load();
+      if (!items.some(i => i.id === id)) return null;
+      const report = await readJson(trashKey(id));
+      if (!report) throw new Error('Trashed report data is missing');
+      if (await storage.head(`reports/${id}.json`)) throw new Error('A report with this ID already exists');
+      await writeJson(`reports/${id}.json`, report);
+      await storage.delete(trashKey(id));
+      items = items.filter(i => i.id !== id);
+      await save();
+      return report;
+    });
+  }
+
+  async function purgeNow(id) {
+    await storage.delete(trashKey(id));
+    for (const key of await storage.list(`revisions/${id}/`)) {
+      await storage.delete(key);
+    }
+    items = items.filter(i => i.id !== id);
+  }
+
+  /**
+   * Permanently delete a trashed report and its revision history.
+   * @returns {Promise<object|null>} the removed entry, or null if it isn't in the trash
+   */
+  function purge(id) {
+    return enqueue(async () => {
+      await load();
+      const item = items.find(i => i.id === id);
+      if (!item) return null;
+      await purgeNow(id);
+      await save();
+      return item;
+    });
+  }
+
+  /**
+   * Permanently delete everything past its retention period.
+   * @returns {Promise<object[]>} the removed entries
+   */
+  function purgeExpired(now = Date.now()) {
+    return enqueue(async () => {
+      await load();
+      const expired = items.filter(item => isExpired(item, now));
+      for (const item of expired) {
+        await purgeNow(item.id);
+      }
+      if (expired.length > 0) await save();
+      return expired;
+    });
+  }
+
+  return { retentionDays, list, get, add, restore, purge, purgeExpired };
+}
+
+export { createTrash };
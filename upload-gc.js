@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Garbage collection for uploads no report points to.
+ *
+ * Uploaded images and scraper screenshots (ffm-*.png, article-*.png) are
+ * written to uploads/ before the report that uses them is saved, and stay
+ * behind when a report drops them or is deleted. A sweep collects every
+ * /uploads/... URL referenced by live reports, trashed reports and revision
+ * history (so restoring either still finds its images), then looks at the
+ * rest. An orphan is only deleted once it is older than the grace period and
+ * has been seen orphaned for at least that long - so a report that is still
+ * being written, or a file briefly unreferenced, is left alone. When each
+ * upload was first seen orphaned is kept in meta/upload-gc.json.
+ *
+ *   node upload-gc.js --dry-run     # report orphans and their size, change nothing
+ *   node upload-gc.js               # delete orphans past the grace period
+ *   POST /api/uploads/gc            # same, from a running server (admin; {dryRun})
+ *
+ * UPLOAD_GC_GRACE_DAYS sets the grace period (default 7).
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage } from './storage.js';
+import { sourceFilename } from './images.js';
+
+const STATE_KEY = 'meta/upload-gc.json';
+const REFERENCE_PREFIXES = ['reports/', 'trash/', 'revisions/'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Upload filenames referenced anywhere in a JSON document. */
+function collectReferences(value, found = new Set()) {
+  if (typeof value === 'string') {
+    const at = value.indexOf('/uploads/');
+    if (at !== -1) {
+      const filename = value.slice(at + '/uploads/'.length).split(/[?#]/)[0];
+      found.add(filename);
+      try {
+        found.add(decodeURIComponent(filename));
+      } catch (error) {
+        // Not percent-encoded; the raw name is enough
+      }
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectReferences(item, found));
+  }
+  return found;
+}
+
+/**
+ * Create an upload collector on top of the storage backend.
+ * @param {{storage: object, readJson: Function, writeJson: Function}} options
+ * @param {{graceDays?: number}} settings
+ */
+function createUploadCollector({ storage, readJson, writeJson }, { graceDays = 7 } = {}) {
+  let queue = Promise.resolve();
+
+  async function referencedUploads() {
+    const referenced = new Set();
+    for (const prefix of REFERENCE_PREFIXES) {
+      const keys = (await storage.list(prefix)).filter(k => k.endsWith('.json'));
+      for (const key of keys) {
+        try {
+          collectReferences(await readJson(key), referenced);
+        } catch (error) {
+          // An unreadable document might reference anything - don't sweep blind
+          throw new Error(`Cannot read ${key}, aborting sweep: ${error.message}`);
+        }
+      }
+    }
+    return referenced;
+  }
+
+  async function sweepNow({ dryRun, now }) {
+    const graceMs = graceDays * DAY_MS;
+    const referenced = await referencedUploads();
+    const keys = await storage.list('uploads/');
+    const previous = (await readJson(STATE_KEY))?.orphans || {};
+    const orphanedSince = {};
+    const orphans = [];
+
+    for (const key of keys) {
+      const filename = key.slice('uploads/'.length);
+      // Resized variants live as long as the image they were made from
+      if (referenced.has(filename) || referenced.has(sourceFilename(filename))) continue;
+      const meta = await storage.head(key);
+      if (!meta) continue;
+      const since = previous[filename] || new Date(now).toISOString();
+      orphanedSince[filename] = since;
+      const modified = meta.lastModified ? new Date(meta.lastModified).getTime() : now;
+      orphans.push({
+        key,
+        size: meta.size,
+        lastModified: meta.lastModified,
+        orphanedSince: since,
+        expired: now - modified >= graceMs && now - new Date(since).getTime() >= graceMs
+      });
+    }
+
+    const deleted = [];
+    if (!dryRun) {
+      for (const orphan of orphans.filter(o => o.expired)) {
+        await storage.delete(orphan.key);
+        delete orphanedSince[orphan.key.slice('uploads/'.length)];
+        deleted.push(orphan.key);
+      }
+      await writeJson(STATE_KEY, { sweptAt: new Date(now).toISOString(), orphans: orphanedSince });
+    }
+
+    const sum = list => list.reduce((total, o) => total + (o.size || 0), 0);
+    return {
+      dryRun,
+      graceDays,
+      scanned: keys.length,
+      referenced: keys.length - orphans.length,
+      orphans,
+      orphanedBytes: sum(orphans),
+      deleted,
+      freedBytes: sum(orphans.filter(o => deleted.includes(o.key)))
+    };
+  }
+
+  /**
+   * Find orphaned uploads and (unless dryRun) delete those past the grace period.
+   * Sweeps run one at a time.
+   * @param {{dryRun?: boolean, now?: number}} options
+   */
+  function sweep({ dryRun = false, now } = {}) {
+    const run = queue.then(() => sweepNow({ dryRun, now: now ?? Date.now() }));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { graceDays, sweep };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function main() {
+  const __dirname = path.dirname(fileURLToPath(import.meta.url));
+  const dataDir = process.env.NODE_ENV === 'production' ? '/data' : path.join(__dirname, 'data');
+  const storage = createStorage({ dataDir });
+  const dryRun = process.argv.includes('--dry-run');
+
+  async function readJson(key) {
+    const result = await storage.get(key);
+    return result ? JSON.parse(result.body.toString('utf-8')) : null;
+  }
+
+  async function writeJson(key, data) {
+    await storage.put(key, JSON.stringify(data, null, 2), 'application/json');
+  }
+
+  const collector = createUploadCollector({ storage, readJson, writeJson }, {
+    graceDays: parseInt(process.env.UPLOAD_GC_GRACE_DAYS, 10) || 7
+  });
+  console.log(`🧹 Sweeping uploads (${storage.name} storage${dryRun ? ', dry run' : ''})...`);
+  const result = await collector.sweep({ dryRun });
+
+  for (const orphan of result.orphans) {
+    const state = result.deleted.includes(orphan.key) ? 'deleted' : orphan.expired ? 'would delete' : 'in grace period';
+    console.log(`   ${orphan.key} (${formatBytes(orphan.size)}) - ${state}`);
+  }
+  console.log(`✅ ${result.scanned} uploads, ${result.orphans.length} orphaned (${formatBytes(result.orphanedBytes)}), ` +
+    `${result.deleted.length} deleted (${formatBytes(result.freedBytes)} freed)`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Upload sweep failed:', err.message);
+    process.exit(1);
+  });
+}
+
+export { collectReferences, createUploadCollector };
@@ -0,0 +1,177 @@
+/**
+ * Staff accounts for the dashboard.
+ *
+ * Users live in a single JSON document (meta/users.json) stored next to the
+ * reports, so they follow the same storage mode (R2 in production, DATA_DIR
+ * in dev). Passwords are hashed with scrypt and never leave this module.
+ *
+ * Roles are ordered: viewer < editor < admin.
+ */
+
+import crypto from 'crypto';
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const USERS_KEY = 'meta/users.json';
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Does the user hold at least the given role?
+ * @param {object} user
+ * @param {string} role - 'viewer', 'editor' or 'admin'
+ */
+function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/** Strip secrets before sending a user to the client. */
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Create a user store on top of a JSON document reader/writer.
+ * @param {{readJson: Function, writeJson: Function}} storage
+ */
+function createUserStore({ readJson, writeJson }) {
+  let users = null;
+
+  async function load() {
+    if (!users) {
+      users = (await readJson(USERS_KEY)) || [];
+    }
+    return users;
+  }
+
+  async function save() {
+    await writeJson(USERS_KEY, users);
+  }
+
+  async function list() {
+    return (await load()).map(publicUser);
+  }
+
+  async function findById(id) {
+    return (await load()).find(u => u.id === id) || null;
+  }
+
+  async function findByUsername(username) {
+    const name = normalizeUsername(username);
+    return (await load()).find(u => u.username === name) || null;
+  }
+
+  async function countActiveAdmins() {
+    return (await load()).filter(u => u.role === 'admin' && !u.disabled).length;
+  }
+
+  async function create({ username, name, role, password }) {
+    const normalized = normalizeUsername(username);
+    if (!/^[a-z0-9._@-]{2,64}$/.test(normalized)) throw new Error('Invalid username');
+    if (!ROLES.includes(role)) throw new Error('Invalid role');
+    if (!password || password.length < 8) throw new Error('Password must be at least 8 characters');
+    if (await findByUsername(normalized)) throw new Error('Username already exists');
+
+    return insert({ username: normalized, name, role, password });
+  }
+
+  async function insert({ username, name, role, password }) {
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      name: name || username,
+      role,
+      disabled: false,
+      passwordHash: hashPassword(password),
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+    users.push(user);
+    await save();
+    return publicUser(user);
+  }
+
+  /**
+   * Update name, role or disabled flag. Refuses to leave the dashboard
+   * without an active admin.
+   */
+  async function update(id, changes) {
+    const user = await findById(id);
+    if (!user) return null;
+
+    const next = { ...user };
+    if (changes.name !== undefined) next.name = String(changes.name).trim() || user.username;
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) throw new Error('Invalid role');
+      next.role = changes.role;
+    }
+    if (changes.disabled !== undefined) next.disabled = !!changes.disabled;
+
+    const losesAdmin = user.role === 'admin' && !user.disabled && (next.role !== 'admin' || next.disabled);
+    if (losesAdmin && (await countActiveAdmins()) <= 1) {
+      throw new Error('At least one active admin is required');
+    }
+
+    next.updatedAt = new Date().toISOString();
+    Object.assign(user, next);
+    await save();
+    return publicUser(user);
+  }
+
+  async function setPassword(id, password) {
+    if (!password || password.length < 8) throw new Error('Password must be at least 8 characters');
+    const user = await findById(id);
+    if (!user) return null;
+    user.passwordHash = hashPassword(password);
+    user.updatedAt = new Date().toISOString();
+    await save();
+    return publicUser(user);
+  }
+
+  /**
+   * Check a username/password pair. Returns the user, or null for unknown,
+   * disabled or wrong-password logins.
+   */
+  async function authenticate(username, password) {
+    const user = await findByUsername(username);
+    if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) return null;
+    user.lastLoginAt = new Date().toISOString();
+    await save();
+    return user;
+  }
+
+  /**
+   * Seed an admin account on first boot so the dashboard is reachable.
+   * Uses the legacy shared password so existing deploys keep working, which
+   * is why it skips the length check applied to new accounts.
+   */
+  async function ensureAdmin(username, password) {
+    if ((await load()).length > 0) return null;
+    return insert({ username: normalizeUsername(username), name: 'Administrator', role: 'admin', password });
+  }
+
+  return { list, findById, findByUsername, create, update, setPassword, authenticate, ensureAdmin };
+}
+
+export { ROLES, hasRole, publicUser, hashPassword, verifyPassword, createUserStore };